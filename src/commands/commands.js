@@ -1,6 +1,40 @@
 /* ClearSend Commands - Quick Actions from Ribbon */
 
-/* global Office, window, setTimeout */
+/* global Office, setTimeout */
+
+import {
+  buildChangePreview,
+  checkRecipientsForSend,
+  cleanRecipients,
+  formatRecipient,
+  getRegisteredSteps,
+  parseRecipient,
+  summarizeActions,
+} from "../taskpane/processors";
+import {
+  filterInternalDomains,
+  MOVE_EXTERNAL_TO_BCC_ACTION,
+  getKnownDomains,
+  getMassMailThresholds,
+  getOrderedEnabledSteps,
+  getSendCheckRules,
+  loadLearnedDomains,
+  loadSettings,
+  mergeLearnedDomains,
+  mergeSavedInvalidAddresses,
+  syncRegisteredSteps,
+} from "../taskpane/settings";
+import {
+  AUTO_CLEAN_NOTIFICATION_KEY,
+  REVERT_AUTO_CLEAN_ACTION,
+  isAutoCleanPaused,
+  isAutoCleanSupported,
+  loadThreadStart,
+  saveAutoCleanSnapshot,
+  saveThreadStart,
+} from "../taskpane/autoclean";
+import { appendActionLog, buildLogRecord, clearOriginalRecipients } from "../taskpane/actionlog";
+import { getFieldLabels, getItemUserSettings, getRecipientFields } from "../taskpane/fields";
 
 Office.onReady(() => {
   // Commands ready
@@ -8,102 +42,39 @@ Office.onReady(() => {
 
 /**
  * Quick Clean function - processes recipients using the same logic as the task pane
- * Respects user's enabled settings from configuration
+ * Respects user's enabled settings and step order from configuration
  * @param event {Office.AddinCommands.Event}
  */
 async function quickClean(event) {
   try {
     // Load user settings
-    const settings = Office.context.roamingSettings.get("clearSendSettings") || {
-      enabledSteps: ["sort", "dedupe", "validate", "prioritizeInternal"],
-      stepOrder: ["sort", "dedupe", "validate", "prioritizeInternal", "removeExternal"],
-      orgDomain: "",
-      internalDomains: [],
-    };
-
-    // Get steps in the user's preferred order (stepOrder defines the execution order)
-    // Filter to only include steps that are enabled
-    const orderedSteps = settings.stepOrder || settings.enabledSteps;
-    const enabledStepsInOrder = orderedSteps.filter((step) => settings.enabledSteps.includes(step));
-
-    // Get current recipients
-    const recipients = await getAllRecipients();
-    const totalOriginal = recipients.to.length + recipients.cc.length + recipients.bcc.length;
-
-    // Convert to string format for processing
-    const toStrings = recipients.to.map((r) =>
-      r.displayName ? `${r.displayName} <${r.emailAddress}>` : r.emailAddress
-    );
-    const ccStrings = recipients.cc.map((r) =>
-      r.displayName ? `${r.displayName} <${r.emailAddress}>` : r.emailAddress
-    );
-    const bccStrings = recipients.bcc.map((r) =>
-      r.displayName ? `${r.displayName} <${r.emailAddress}>` : r.emailAddress
-    );
+    const settings = syncRegisteredSteps(loadSettings(), getRegisteredSteps());
 
-    // Call the processors library if available
-    if (window.ClearSendProcessors && window.ClearSendProcessors.processRecipients) {
-      const result = window.ClearSendProcessors.processRecipients({
-        to: toStrings,
-        cc: ccStrings,
-        bcc: bccStrings,
-        userSettings: {
-          enabledSteps: enabledStepsInOrder,
-          internalDomains: (settings.internalDomains || []).filter(
-            (d) => d && d !== "mydomain.com" && d.trim() !== ""
-          ),
-          orgDomain: settings.orgDomain || "",
-        },
-      });
+    const { current, result } = await runConfiguredClean(settings);
+    const totalOriginal = current.to.length + current.cc.length + current.bcc.length;
 
-      // Convert processed results back to Office format
-      const processedTo = convertToOfficeFormat(result.result.to);
-      const processedCc = convertToOfficeFormat(result.result.cc);
-      const processedBcc = convertToOfficeFormat(result.result.bcc);
-
-      // Update recipients
-      await updateAllRecipients(processedTo, processedCc, processedBcc);
-
-      // Show success notification
-      const message = `Success. ${totalOriginal} addresses processed.`;
+    if (result.blocked) {
       showNotification(
-        message,
+        result.message,
+        Office.MailboxEnums.ItemNotificationMessageType.ErrorMessage
+      );
+    } else if (settings.previewChanges) {
+      // Nothing is written without a preview: the review happens in the task pane
+      const changes = buildChangePreview(current, result).rows.length;
+      showNotification(
+        changes > 0
+          ? `Preview is enabled. Open ClearSend to review ${changes} changes before applying.`
+          : "No changes to apply.",
         Office.MailboxEnums.ItemNotificationMessageType.InformationalMessage
       );
     } else {
-      // Fallback: use local processing if processors library not loaded
-      let processedTo = recipients.to;
-      let processedCc = recipients.cc;
-      let processedBcc = recipients.bcc;
-
-      // Validate if enabled
-      if (settings.enabledSteps.includes("validate")) {
-        const validatedTo = validateAndFilterRecipients(processedTo);
-        const validatedCc = validateAndFilterRecipients(processedCc);
-        const validatedBcc = validateAndFilterRecipients(processedBcc);
-
-        processedTo = validatedTo;
-        processedCc = validatedCc;
-        processedBcc = validatedBcc;
-      }
-
-      // Deduplicate if enabled
-      if (settings.enabledSteps.includes("dedupe")) {
-        const deduped = deduplicateAllRecipients(processedTo, processedCc, processedBcc);
-        processedTo = deduped.to;
-        processedCc = deduped.cc;
-        processedBcc = deduped.bcc;
-      }
-
-      // Sort if enabled
-      if (settings.enabledSteps.includes("sort")) {
-        processedTo = sortRecipientsAlphabetically(processedTo);
-        processedCc = sortRecipientsAlphabetically(processedCc);
-        processedBcc = sortRecipientsAlphabetically(processedBcc);
-      }
-
       // Update recipients
-      await updateAllRecipients(processedTo, processedCc, processedBcc);
+      await updateAllRecipients(
+        result.result.to.map(parseRecipient),
+        result.result.cc.map(parseRecipient),
+        result.result.bcc.map(parseRecipient)
+      );
+      await logAction("quickClean", result.actions, current);
 
       // Show success notification
       const message = `Success. ${totalOriginal} addresses processed.`;
@@ -123,159 +94,389 @@ async function quickClean(event) {
 }
 
 /**
- * Convert strings to Office format
+ * New draft - handler for the OnNewMessageCompose launch event
+ * Keeps the recipients a reply or forward starts with, so the send check can tell
+ * an internal-only thread, then runs the automatic clean
+ * @param event {Office.MailboxEvent}
  */
-function convertToOfficeFormat(recipients) {
-  return recipients.map((r) => {
-    if (typeof r === "string") {
-      const match = r.match(/^(.+?)\s*<(.+)>$/);
-      if (match) {
-        return {
-          displayName: match[1].trim(),
-          emailAddress: match[2].trim(),
-        };
-      }
-      return {
-        displayName: "",
-        emailAddress: r.trim(),
-      };
+async function onNewMessageComposeHandler(event) {
+  try {
+    // New messages have no conversation yet
+    if (Office.context.mailbox.item.conversationId && isAutoCleanSupported()) {
+      const recipients = await getAllRecipients();
+      await saveThreadStart({
+        to: recipients.to.map(formatRecipient),
+        cc: recipients.cc.map(formatRecipient),
+        bcc: recipients.bcc.map(formatRecipient),
+      });
     }
-    return r;
-  });
+  } catch {
+    // Without the thread's recipients the external rule does not fire
+  }
+
+  await onAutoCleanHandler(event);
 }
 
 /**
- * Get all recipients from the current email
+ * Automatic clean - handler for the OnMessageRecipientsChanged launch event, also run on new drafts
+ * Runs the configured pipeline without the task pane when auto-clean is enabled,
+ * then offers a one-click revert in an infobar. With Preview changes on, the
+ * infobar offers to review the changes in the task pane instead
+ * @param event {Office.MailboxEvent}
  */
-function getAllRecipients() {
-  return new Promise((resolve, reject) => {
-    const item = Office.context.mailbox.item;
+async function onAutoCleanHandler(event) {
+  try {
+    const settings = syncRegisteredSteps(loadSettings(), getRegisteredSteps());
 
-    item.to.getAsync((toResult) => {
-      if (toResult.status !== Office.AsyncResultStatus.Succeeded) {
-        reject(new Error("Failed to get To recipients"));
-        return;
-      }
+    if (settings.autoClean && isAutoCleanSupported() && !(await isAutoCleanPaused())) {
+      const { current, result } = await runConfiguredClean(settings);
 
-      item.cc.getAsync((ccResult) => {
-        if (ccResult.status !== Office.AsyncResultStatus.Succeeded) {
-          reject(new Error("Failed to get CC recipients"));
+      // Writing the recipients raises the event again; that run finds nothing to change
+      if (!result.blocked && hasRecipientChanges(current, result.result)) {
+        // As for Quick Clean, nothing is written without a preview
+        if (settings.previewChanges) {
+          showAutoCleanPreviewNotification(buildChangePreview(current, result).rows.length);
+          event.completed();
           return;
         }
 
-        item.bcc.getAsync((bccResult) => {
-          if (bccResult.status !== Office.AsyncResultStatus.Succeeded) {
-            reject(new Error("Failed to get BCC recipients"));
-            return;
-          }
+        await saveAutoCleanSnapshot(current, result.result);
+        await updateAllRecipients(
+          result.result.to.map(parseRecipient),
+          result.result.cc.map(parseRecipient),
+          result.result.bcc.map(parseRecipient)
+        );
+        await logAction("autoClean", result.actions, current);
+        showAutoCleanNotification(result.actions);
+      }
+    }
+  } catch {
+    // Automatic cleaning is best effort and must never interrupt composing
+  }
 
-          resolve({
-            to: toResult.value || [],
-            cc: ccResult.value || [],
-            bcc: bccResult.value || [],
-          });
-        });
-      });
-    });
+  event.completed();
+}
+
+/**
+ * Run the user's configured pipeline on the current recipients
+ * Invalid addresses are saved first if Keep invalid is enabled
+ * @param {Object} settings - Settings object
+ * @returns {Promise<Object>} { current, result } with the recipients as address strings
+ */
+async function runConfiguredClean(settings) {
+  const recipients = await getAllRecipients();
+  const current = {
+    to: recipients.to.map(formatRecipient),
+    cc: recipients.cc.map(formatRecipient),
+    bcc: recipients.bcc.map(formatRecipient),
+  };
+
+  // Run the shared clean pipeline (same engine as the task pane)
+  const result = cleanRecipients({
+    ...current,
+    userSettings: getItemUserSettings(Office.context.mailbox.item, {
+      enabledSteps: getOrderedEnabledSteps(settings),
+      internalDomains: filterInternalDomains(settings.internalDomains),
+      internalSubdomains: settings.internalSubdomains !== false,
+      partnerDomains: settings.partnerDomains || [],
+      orgDomain: settings.orgDomain || "",
+      stepSettings: settings.stepSettings || {},
+      knownDomains: getKnownDomains(settings, loadLearnedDomains()),
+    }),
   });
+
+  // Keep a copy of invalid addresses if enabled (before anything is rewritten)
+  if (settings.keepInvalid && result.invalid.length > 0) {
+    await saveInvalidAddresses(result.invalid);
+  }
+
+  return { current, result };
 }
 
 /**
- * Validate and filter recipients (remove invalid emails)
+ * Describe the changes made by a pipeline run, as in the task pane's Last action card
  */
-function validateAndFilterRecipients(recipients) {
-  return recipients.filter((recipient) => {
-    const email = recipient.emailAddress || "";
-
-    // Basic email validation
-    if (!email || typeof email !== "string") return false;
-    if (!email.includes("@")) return false;
-    if (email.split("@").length !== 2) return false;
-
-    const [localPart, domainPart] = email.split("@");
-    if (!localPart || !domainPart) return false;
-    if (!domainPart.includes(".")) return false;
-    if (email.includes("..")) return false;
-
-    // Basic regex check
-    const emailRegex =
-      /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-    return emailRegex.test(email);
+function describeChanges(actions) {
+  const changes = summarizeActions(actions)
+    .filter((step) => step.changed)
+    .map((step) => step.text);
+
+  return changes.length > 0 ? changes.join(", ") : "No changes applied";
+}
+
+/**
+ * Add a pipeline run to the message's action log
+ * The log is informational: failing to save it must not fail the clean
+ */
+async function logAction(kind, actions, before) {
+  try {
+    await appendActionLog(buildLogRecord(kind, describeChanges(actions), actions), before);
+  } catch {
+    // Nothing else to do
+  }
+}
+
+function hasRecipientChanges(before, after) {
+  return ["to", "cc", "bcc"].some(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+}
+
+// Infobar messages are limited to 150 characters
+const NOTIFICATION_MAX_MESSAGE = 150;
+
+/**
+ * Show the infobar describing an automatic clean, with a revert action
+ * The action opens the task pane, which reverts as soon as it loads
+ */
+function showAutoCleanNotification(actions) {
+  let message = `ClearSend cleaned the recipients: ${describeChanges(actions)}.`;
+  if (message.length > NOTIFICATION_MAX_MESSAGE) {
+    message = message.substring(0, NOTIFICATION_MAX_MESSAGE - 3) + "...";
+  }
+
+  Office.context.mailbox.item.notificationMessages.replaceAsync(AUTO_CLEAN_NOTIFICATION_KEY, {
+    type: Office.MailboxEnums.ItemNotificationMessageType.InsightMessage,
+    message: message,
+    icon: "Icon.80x80",
+    actions: [
+      {
+        actionType: Office.MailboxEnums.ActionType.ShowTaskPane,
+        actionText: "Revert",
+        commandId: "msgComposeOpenPaneButton",
+        contextData: JSON.stringify({ action: REVERT_AUTO_CLEAN_ACTION }),
+      },
+    ],
   });
 }
 
 /**
- * Remove duplicates across all recipient fields (To has priority over CC over BCC)
+ * Tell that an automatic clean is waiting for review, as Preview changes is on
  */
-function deduplicateAllRecipients(toRecipients, ccRecipients, bccRecipients) {
-  // First dedupe within each array
-  const uniqueTo = deduplicateWithinArray(toRecipients);
-  const uniqueCc = deduplicateWithinArray(ccRecipients);
-  const uniqueBcc = deduplicateWithinArray(bccRecipients);
-
-  // Then dedupe across arrays with priority
-  const allEmails = new Set();
-  const finalTo = [];
-  const finalCc = [];
-  const finalBcc = [];
-
-  // Process To recipients first (highest priority)
-  uniqueTo.forEach((recipient) => {
-    const email = (recipient.emailAddress || "").toLowerCase();
-    if (!allEmails.has(email)) {
-      allEmails.add(email);
-      finalTo.push(recipient);
-    }
+function showAutoCleanPreviewNotification(changes) {
+  Office.context.mailbox.item.notificationMessages.replaceAsync(AUTO_CLEAN_NOTIFICATION_KEY, {
+    type: Office.MailboxEnums.ItemNotificationMessageType.InsightMessage,
+    message: `ClearSend found ${changes} changes to the recipients. Preview is enabled: review them before applying.`,
+    icon: "Icon.80x80",
+    actions: [
+      {
+        actionType: Office.MailboxEnums.ActionType.ShowTaskPane,
+        actionText: "Review",
+        commandId: "msgComposeOpenPaneButton",
+      },
+    ],
   });
+}
 
-  // Process CC recipients (medium priority)
-  uniqueCc.forEach((recipient) => {
-    const email = (recipient.emailAddress || "").toLowerCase();
-    if (!allEmails.has(email)) {
-      allEmails.add(email);
-      finalCc.push(recipient);
+// Smart Alerts error messages are limited to 500 characters
+const SEND_CHECK_MAX_MESSAGE = 500;
+const SEND_CHECK_MAX_LISTED = 3;
+
+/**
+ * Send-time recipient check - handler for the OnMessageSend launch event
+ * Blocks the send, or warns with "Send anyway", according to the send check rules
+ * @param event {Office.MailboxEvent}
+ */
+async function onMessageSendHandler(event) {
+  try {
+    const settings = loadSettings();
+    const rules = getSendCheckRules(settings);
+    const recipients = await getAllRecipients();
+    const threadStart = isAutoCleanSupported() ? await loadThreadStart() : null;
+
+    const findings = checkRecipientsForSend({
+      to: recipients.to.map(formatRecipient),
+      cc: recipients.cc.map(formatRecipient),
+      bcc: recipients.bcc.map(formatRecipient),
+      threadStart,
+      userSettings: {
+        internalDomains: filterInternalDomains(settings.internalDomains),
+        internalSubdomains: settings.internalSubdomains !== false,
+        partnerDomains: settings.partnerDomains || [],
+        orgDomain: settings.orgDomain || "",
+        stepSettings: settings.stepSettings,
+        knownDomains: getKnownDomains(settings, loadLearnedDomains()),
+        massMail: getMassMailThresholds(settings),
+      },
+    });
+
+    const issues = [];
+    if (rules.invalid !== "off" && findings.invalid.length > 0) {
+      issues.push({
+        level: rules.invalid,
+        text: describeSendIssue(findings.invalid, "invalid address", "invalid addresses"),
+      });
+    }
+    if (rules.duplicates !== "off" && findings.duplicates.length > 0) {
+      issues.push({
+        level: rules.duplicates,
+        text: describeSendIssue(findings.duplicates, "duplicate", "duplicates"),
+      });
+    }
+    // A reply to a thread that was internal only: external recipients were added
+    // since, and are the ones most likely added by mistake
+    if (rules.external !== "off" && findings.internalThread && findings.external.length > 0) {
+      issues.push({
+        level: rules.external,
+        text: describeSendIssue(
+          findings.external,
+          "external recipient on an internal-only thread",
+          "external recipients on an internal-only thread"
+        ),
+      });
     }
-  });
 
-  // Process BCC recipients (lowest priority)
-  uniqueBcc.forEach((recipient) => {
-    const email = (recipient.emailAddress || "").toLowerCase();
-    if (!allEmails.has(email)) {
-      allEmails.add(email);
-      finalBcc.push(recipient);
+    // Customers seeing each other's addresses: the incident most worth stopping
+    const massMail = rules.massMail !== "off" && findings.massMail.exceeded;
+    if (massMail) {
+      issues.push({
+        level: rules.massMail,
+        text: `${findings.massMail.recipients.length} external recipients from ${findings.massMail.domains.length} domains visible to each other in To/CC`,
+      });
     }
-  });
 
-  return {
-    to: finalTo,
-    cc: finalCc,
-    bcc: finalBcc,
-  };
+    if (issues.length === 0) {
+      if (settings.learnDomains !== false) {
+        await learnDomains(findings.domains);
+      }
+      await dropOriginalRecipients();
+      event.completed({ allowEvent: true });
+      return;
+    }
+
+    let message = `ClearSend found ${issues.map((issue) => issue.text).join("; ")}.`;
+    if (message.length > SEND_CHECK_MAX_MESSAGE) {
+      message = message.substring(0, SEND_CHECK_MAX_MESSAGE - 3) + "...";
+    }
+
+    const options = { allowEvent: false, errorMessage: message };
+
+    // "Send anyway" needs Mailbox 1.14; older clients fall back to the manifest's soft block
+    const blocking = issues.some((issue) => issue.level === "block");
+    if (!blocking && Office.context.requirements.isSetSupported("Mailbox", "1.14")) {
+      // The original lists are kept: the user may still cancel and revert, and
+      // "Send anyway" sends without running the handler again
+      options.sendModeOverride = Office.MailboxEnums.SendModeOverride.PromptUser;
+    }
+
+    // The dialog's other button opens the task pane, which moves them to BCC
+    if (massMail && Office.context.requirements.isSetSupported("Mailbox", "1.14")) {
+      options.cancelLabel = "Move to BCC";
+      options.commandId = "msgComposeOpenPaneButton";
+      if (Office.context.requirements.isSetSupported("Mailbox", "1.15")) {
+        options.contextData = JSON.stringify({ action: MOVE_EXTERNAL_TO_BCC_ACTION });
+      }
+    }
+
+    event.completed(options);
+  } catch {
+    // A failing check must never keep the user from sending
+    await dropOriginalRecipients();
+    event.completed({ allowEvent: true });
+  }
+}
+
+/**
+ * Remove the original recipient lists kept by the action log before the message goes out
+ * A failure is ignored: it must not hold up the send
+ */
+async function dropOriginalRecipients() {
+  try {
+    await clearOriginalRecipients();
+  } catch {
+    // The lists stay on the item
+  }
+}
+
+/**
+ * Describe one send check finding, listing the first few addresses
+ */
+function describeSendIssue(addresses, singular, plural) {
+  const listed = addresses.slice(0, SEND_CHECK_MAX_LISTED).join(", ");
+  const more =
+    addresses.length > SEND_CHECK_MAX_LISTED
+      ? ` and ${addresses.length - SEND_CHECK_MAX_LISTED} more`
+      : "";
+
+  return `${addresses.length} ${addresses.length === 1 ? singular : plural} (${listed}${more})`;
 }
 
 /**
- * Remove duplicates within a single array
+ * Add invalid addresses to the saved invalid list in roaming storage
  */
-function deduplicateWithinArray(recipients) {
-  const seen = new Set();
-  return recipients.filter((recipient) => {
-    const email = (recipient.emailAddress || "").toLowerCase();
-    if (seen.has(email)) {
-      return false;
+function saveInvalidAddresses(invalidAddresses) {
+  return new Promise((resolve) => {
+    const saved = Office.context.roamingSettings.get("savedInvalidAddresses");
+    Office.context.roamingSettings.set(
+      "savedInvalidAddresses",
+      mergeSavedInvalidAddresses(Array.isArray(saved) ? saved : [], invalidAddresses)
+    );
+
+    // Silent save - a failure here must not stop the clean
+    Office.context.roamingSettings.saveAsync(() => resolve());
+  });
+}
+
+/**
+ * Remember the domains of a message being sent, for typo suggestions
+ */
+function learnDomains(domains) {
+  return new Promise((resolve) => {
+    const learned = loadLearnedDomains();
+    const merged = mergeLearnedDomains(learned, domains);
+    if (JSON.stringify(merged) === JSON.stringify(learned)) {
+      resolve();
+      return;
     }
-    seen.add(email);
-    return true;
+
+    Office.context.roamingSettings.set("learnedDomains", merged);
+
+    // Silent save - a failure here must not hold up the send
+    Office.context.roamingSettings.saveAsync(() => resolve());
   });
 }
 
 /**
- * Sort recipients alphabetically
+ * Get all recipients from the current email, or the attendees of a meeting
  */
-function sortRecipientsAlphabetically(recipients) {
-  return recipients.sort((a, b) => {
-    const nameA = (a.displayName || a.emailAddress || "").toLowerCase();
-    const nameB = (b.displayName || b.emailAddress || "").toLowerCase();
-    return nameA.localeCompare(nameB);
+function getAllRecipients() {
+  return new Promise((resolve, reject) => {
+    const item = Office.context.mailbox.item;
+    const fields = getRecipientFields(item);
+    const labels = getFieldLabels(item);
+
+    fields.to.getAsync((toResult) => {
+      if (toResult.status !== Office.AsyncResultStatus.Succeeded) {
+        reject(new Error(`Failed to get ${labels.to} recipients`));
+        return;
+      }
+
+      fields.cc.getAsync((ccResult) => {
+        if (ccResult.status !== Office.AsyncResultStatus.Succeeded) {
+          reject(new Error(`Failed to get ${labels.cc} recipients`));
+          return;
+        }
+
+        // Meetings have no BCC
+        if (!fields.bcc) {
+          resolve({ to: toResult.value || [], cc: ccResult.value || [], bcc: [] });
+          return;
+        }
+
+        fields.bcc.getAsync((bccResult) => {
+          if (bccResult.status !== Office.AsyncResultStatus.Succeeded) {
+            reject(new Error("Failed to get BCC recipients"));
+            return;
+          }
+
+          resolve({
+            to: toResult.value || [],
+            cc: ccResult.value || [],
+            bcc: bccResult.value || [],
+          });
+        });
+      });
+    });
   });
 }
 
@@ -285,20 +486,32 @@ function sortRecipientsAlphabetically(recipients) {
 function updateAllRecipients(toRecipients, ccRecipients, bccRecipients) {
   return new Promise((resolve, reject) => {
     const item = Office.context.mailbox.item;
+    const fields = getRecipientFields(item);
+    const labels = getFieldLabels(item);
+
+    if (!fields.bcc && bccRecipients.length > 0) {
+      reject(new Error("Meetings have no BCC"));
+      return;
+    }
 
-    item.to.setAsync(toRecipients, (toResult) => {
+    fields.to.setAsync(toRecipients, (toResult) => {
       if (toResult.status !== Office.AsyncResultStatus.Succeeded) {
-        reject(new Error("Failed to update To recipients"));
+        reject(new Error(`Failed to update ${labels.to} recipients`));
         return;
       }
 
-      item.cc.setAsync(ccRecipients, (ccResult) => {
+      fields.cc.setAsync(ccRecipients, (ccResult) => {
         if (ccResult.status !== Office.AsyncResultStatus.Succeeded) {
-          reject(new Error("Failed to update CC recipients"));
+          reject(new Error(`Failed to update ${labels.cc} recipients`));
+          return;
+        }
+
+        if (!fields.bcc) {
+          resolve();
           return;
         }
 
-        item.bcc.setAsync(bccRecipients, (bccResult) => {
+        fields.bcc.setAsync(bccRecipients, (bccResult) => {
           if (bccResult.status !== Office.AsyncResultStatus.Succeeded) {
             reject(new Error("Failed to update BCC recipients"));
             return;
@@ -343,3 +556,6 @@ function action(event) {
 // Register functions with Office
 Office.actions.associate("quickClean", quickClean);
 Office.actions.associate("action", action);
+Office.actions.associate("onMessageSendHandler", onMessageSendHandler);
+Office.actions.associate("onNewMessageComposeHandler", onNewMessageComposeHandler);
+Office.actions.associate("onMessageRecipientsChangedHandler", onAutoCleanHandler);
@@ -0,0 +1,131 @@
+/**
+ * ClearSend Action Log
+ *
+ * Per-message log of what ClearSend did to a draft, stored in the item's
+ * custom properties so it survives closing and reopening the task pane.
+ * The recipient lists from before the first change are kept as well, so the
+ * draft can be reverted to its original lists; they are removed when the
+ * message is sent, so they do not stay on the sent item.
+ *
+ * Outlook limits all custom properties of an item to 2500 characters in total:
+ * the oldest records are dropped first, and the original lists are only kept
+ * when they fit.
+ */
+
+/* global Office */
+
+const LOG_PROPERTY = "clearSendLog";
+const ORIGINAL_PROPERTY = "clearSendOriginal";
+const MAX_PROPERTIES_LENGTH = 2500;
+const MAX_LABEL_LENGTH = 60;
+
+function loadCustomProperties() {
+  return new Promise((resolve, reject) => {
+    Office.context.mailbox.item.loadCustomPropertiesAsync((result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve(result.value);
+      } else {
+        reject(new Error("Failed to load custom properties"));
+      }
+    });
+  });
+}
+
+function saveCustomProperties(properties) {
+  return new Promise((resolve, reject) => {
+    properties.saveAsync((result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve();
+      } else {
+        reject(new Error("Failed to save custom properties"));
+      }
+    });
+  });
+}
+
+/**
+ * Build a log record
+ * @param {string} kind - What happened: clean, quickClean, autoClean, remove, fix, undo, redo, restore, revert
+ * @param {string} label - Action label, as shown in the Last action card
+ * @param {Array} actions - Optional actions array from processRecipients
+ * @returns {Object} Record { time, kind, label, steps: [{ step, removed }] }
+ */
+export function buildLogRecord(kind, label, actions = []) {
+  const count = (lists) => ["to", "cc", "bcc"].reduce((n, f) => n + (lists?.[f]?.length || 0), 0);
+
+  return {
+    time: Date.now(),
+    kind,
+    label:
+      label.length > MAX_LABEL_LENGTH ? label.substring(0, MAX_LABEL_LENGTH - 3) + "..." : label,
+    steps: actions.map((action) => ({
+      step: action.type,
+      removed: count(action.input) - count(action.output),
+    })),
+  };
+}
+
+/**
+ * Read the action log of the current item
+ * @returns {Promise<Object>} { records, original } with original null when not kept
+ */
+export async function loadActionLog() {
+  const properties = await loadCustomProperties();
+  const records = properties.get(LOG_PROPERTY);
+  const original = properties.get(ORIGINAL_PROPERTY);
+
+  return {
+    records: Array.isArray(records) ? records : [],
+    original: original && typeof original === "object" ? original : null,
+  };
+}
+
+/**
+ * Remove the original lists from the current item, keeping the log records
+ * @returns {Promise<void>}
+ */
+export async function clearOriginalRecipients() {
+  const properties = await loadCustomProperties();
+  if (properties.get(ORIGINAL_PROPERTY) === undefined) {
+    return;
+  }
+
+  properties.remove(ORIGINAL_PROPERTY);
+  await saveCustomProperties(properties);
+}
+
+/**
+ * Add a record to the action log of the current item
+ * @param {Object} record - Record from buildLogRecord
+ * @param {Object} before - {to, cc, bcc} before the change, kept as the original lists on the first record
+ * @returns {Promise<Object>} Updated { records, original }
+ */
+export async function appendActionLog(record, before) {
+  const properties = await loadCustomProperties();
+  let records = properties.get(LOG_PROPERTY);
+  records = Array.isArray(records) ? [...records, record] : [record];
+
+  let original = properties.get(ORIGINAL_PROPERTY) || null;
+  if (!original && before && records.length === 1) {
+    original = { to: before.to || [], cc: before.cc || [], bcc: before.bcc || [] };
+    if (JSON.stringify(original).length + JSON.stringify(records).length > MAX_PROPERTIES_LENGTH) {
+      original = null;
+    }
+  }
+
+  const originalLength = original ? JSON.stringify(original).length : 0;
+  while (
+    records.length > 1 &&
+    originalLength + JSON.stringify(records).length > MAX_PROPERTIES_LENGTH
+  ) {
+    records = records.slice(1);
+  }
+
+  properties.set(LOG_PROPERTY, records);
+  if (original) {
+    properties.set(ORIGINAL_PROPERTY, original);
+  }
+  await saveCustomProperties(properties);
+
+  return { records, original };
+}
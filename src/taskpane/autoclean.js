@@ -0,0 +1,147 @@
+/**
+ * ClearSend Auto-clean State
+ *
+ * Per-draft state for automatic cleaning, shared by the launch event handlers
+ * in the commands runtime and the task pane, and the recipients a reply started
+ * with, for the send check. It is kept in the item's session data, so it lives
+ * only as long as the draft is open.
+ */
+
+/* global Office */
+
+const SNAPSHOT_KEY = "clearSendAutoCleanSnapshot";
+const PAUSED_KEY = "clearSendAutoCleanPaused";
+const THREAD_START_KEY = "clearSendThreadStart";
+
+// Key of the infobar shown after an automatic clean
+export const AUTO_CLEAN_NOTIFICATION_KEY = "ClearSendAutoClean";
+
+// Context data passed to the task pane by the infobar's revert action
+export const REVERT_AUTO_CLEAN_ACTION = "revertAutoClean";
+
+function getSessionValue(key) {
+  return new Promise((resolve) => {
+    Office.context.mailbox.item.sessionData.getAsync(key, (result) => {
+      // A missing key is reported as a failure: treat it as no value
+      resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : null);
+    });
+  });
+}
+
+function setSessionValue(key, value) {
+  return new Promise((resolve, reject) => {
+    Office.context.mailbox.item.sessionData.setAsync(key, value, (result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve();
+      } else {
+        reject(new Error("Failed to save session data"));
+      }
+    });
+  });
+}
+
+/**
+ * Save the recipients before and after an automatic clean
+ * Each clean replaces the previous snapshot, so revert undoes the latest one
+ * @param {Object} before - {to, cc, bcc} address strings as they were
+ * @param {Object} after - {to, cc, bcc} address strings as written by the clean
+ */
+export function saveAutoCleanSnapshot(before, after) {
+  return setSessionValue(SNAPSHOT_KEY, JSON.stringify({ before, after }));
+}
+
+/**
+ * Get the recipients saved around the latest automatic clean of this draft
+ * @returns {Promise<Object|null>} { before, after } with {to, cc, bcc} address strings, or null if none
+ */
+export async function loadAutoCleanSnapshot() {
+  const value = await getSessionValue(SNAPSHOT_KEY);
+  if (!value) return null;
+
+  try {
+    const snapshot = JSON.parse(value);
+    return snapshot.before && snapshot.after ? snapshot : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the recipients a reply or forward started with, the thread's recipients
+ * Only the first call counts, so later changes by the user are not taken for the thread's
+ * @param {Object} recipients - {to, cc, bcc} address strings
+ */
+export async function saveThreadStart(recipients) {
+  const existing = await getSessionValue(THREAD_START_KEY);
+  if (!existing) {
+    await setSessionValue(THREAD_START_KEY, JSON.stringify(recipients));
+  }
+}
+
+/**
+ * Get the recipients the draft started with, if it is a reply or forward
+ * @returns {Promise<Object|null>} {to, cc, bcc} address strings, or null if none were saved
+ */
+export async function loadThreadStart() {
+  const value = await getSessionValue(THREAD_START_KEY);
+  if (!value) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Undo an automatic clean on the current recipients, keeping what the user changed since
+ * Recipients the clean removed or moved go back where they were; recipients added
+ * since stay, and recipients deleted since stay deleted
+ * @param {Object} snapshot - { before, after } from loadAutoCleanSnapshot
+ * @param {Object} current - {to, cc, bcc} address strings now
+ * @returns {Object} {to, cc, bcc} address strings to write
+ */
+export function getRevertedRecipients(snapshot, current) {
+  const fields = ["to", "cc", "bcc"];
+  const collect = (lists) => new Set(fields.flatMap((field) => lists[field] || []));
+  const before = collect(snapshot.before);
+  const after = collect(snapshot.after);
+  const now = collect(current);
+
+  return Object.fromEntries(
+    fields.map((field) => [
+      field,
+      [
+        ...(snapshot.before[field] || []).filter(
+          (recipient) => !after.has(recipient) || now.has(recipient)
+        ),
+        ...(current[field] || []).filter(
+          (recipient) => !after.has(recipient) && !before.has(recipient)
+        ),
+      ],
+    ])
+  );
+}
+
+/**
+ * Check whether automatic cleaning was paused for this draft
+ * @returns {Promise<boolean>}
+ */
+export async function isAutoCleanPaused() {
+  return (await getSessionValue(PAUSED_KEY)) === "true";
+}
+
+/**
+ * Stop automatic cleaning for this draft, e.g. after a revert
+ */
+export function pauseAutoClean() {
+  return setSessionValue(PAUSED_KEY, "true");
+}
+
+/**
+ * Check whether the item supports automatic cleaning state
+ * @returns {boolean}
+ */
+export function isAutoCleanSupported() {
+  return Boolean(Office.context.mailbox.item && Office.context.mailbox.item.sessionData);
+}
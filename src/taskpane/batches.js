@@ -0,0 +1,79 @@
+/**
+ * ClearSend Recipient Batches
+ *
+ * Outlook refuses to write more than a set number of recipients in one field.
+ * When a message goes over, its recipients can be sent as several messages:
+ * each field is divided into the same number of groups under the limit, in
+ * their original order, so every recipient gets the message once.
+ *
+ * Recipients are address strings ("Name <email>" or "email"). All functions are pure.
+ */
+
+const FIELDS = ["to", "cc", "bcc"];
+
+/**
+ * Tell how far each field is over the limit
+ * @param {Object} lists - { to, cc, bcc }
+ * @param {number} limit - Maximum recipients in one field
+ * @returns {Object} { fields: [{ field, count, over }], exceeded }
+ */
+export function getFieldOverflow(lists, limit) {
+  const fields = FIELDS.map((field) => {
+    const count = (lists[field] || []).length;
+    return { field, count, over: Math.max(0, count - limit) };
+  });
+
+  return { fields, exceeded: fields.some((entry) => entry.over > 0) };
+}
+
+/**
+ * Divide the recipients into the fewest messages keeping every field under the limit
+ * Each field is split into groups of nearly the same size, so no message is left
+ * with a few recipients only; the first messages get the extra ones
+ * @param {Object} lists - { to, cc, bcc }
+ * @param {number} limit - Maximum recipients in one field
+ * @returns {Array} [{ to, cc, bcc }], one entry per message
+ */
+export function planBatches(lists, limit) {
+  const count = Math.max(
+    1,
+    ...FIELDS.map((field) => Math.ceil((lists[field] || []).length / limit))
+  );
+
+  const split = (list) =>
+    Array.from({ length: count }, (_, index) =>
+      list.slice(
+        Math.ceil((index * list.length) / count),
+        Math.ceil(((index + 1) * list.length) / count)
+      )
+    );
+  const groups = Object.fromEntries(FIELDS.map((field) => [field, split(lists[field] || [])]));
+
+  return Array.from({ length: count }, (_, index) => ({
+    to: groups.to[index],
+    cc: groups.cc[index],
+    bcc: groups.bcc[index],
+  }));
+}
+
+function escapeCsvCell(value) {
+  const text = String(value);
+  return /[",;\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a batch plan as CSV, one recipient per line
+ * @param {Array} batches - Plan from planBatches
+ * @returns {string} CSV with the columns Message, Field and Recipient
+ */
+export function buildBatchesCsv(batches) {
+  const lines = batches.flatMap((batch, index) =>
+    FIELDS.flatMap((field) =>
+      batch[field].map((recipient) =>
+        [index + 1, field.toUpperCase(), recipient].map(escapeCsvCell).join(",")
+      )
+    )
+  );
+
+  return ["Message,Field,Recipient", ...lines].join("\n");
+}
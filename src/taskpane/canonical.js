@@ -0,0 +1,123 @@
+/**
+ * ClearSend Canonical Addresses
+ *
+ * Provider-aware canonical form of an address, used by the dedupe step to
+ * recognise different spellings of one mailbox:
+ * - "+tag" subaddresses (jane+news@gmail.com is jane@gmail.com)
+ * - dots ignored by Gmail (jane.doe@gmail.com is janedoe@gmail.com)
+ * - domains that are aliases of another (googlemail.com is gmail.com)
+ *
+ * Rules are per domain: the built-in ones cover the large providers, users add
+ * their own for domains whose mail server behaves the same way. Without a
+ * rule, addresses only match when they are equal ignoring case.
+ */
+
+import { domainToAscii } from "./validator";
+
+export const SUBADDRESS_SEPARATORS = ["", "+", "-"];
+
+/**
+ * Built-in rules, checked after the user's rules
+ * Each rule: { domains, separator, ignoreDots, caseSensitive, canonicalDomain }
+ */
+export const BUILT_IN_CANONICAL_RULES = [
+  {
+    domains: ["gmail.com", "googlemail.com"],
+    separator: "+",
+    ignoreDots: true,
+    caseSensitive: false,
+    canonicalDomain: "gmail.com",
+  },
+  {
+    domains: ["outlook.com", "hotmail.com", "live.com", "msn.com"],
+    separator: "+",
+    ignoreDots: false,
+    caseSensitive: false,
+    canonicalDomain: "",
+  },
+  {
+    domains: ["icloud.com", "me.com", "mac.com"],
+    separator: "+",
+    ignoreDots: false,
+    caseSensitive: false,
+    canonicalDomain: "icloud.com",
+  },
+  {
+    domains: ["fastmail.com", "proton.me", "protonmail.com"],
+    separator: "+",
+    ignoreDots: false,
+    caseSensitive: false,
+    canonicalDomain: "",
+  },
+];
+
+function normalizeDomain(domain) {
+  const lower = String(domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^@/, "");
+  const ascii = lower ? domainToAscii(lower) : null;
+  return ascii?.isValid ? ascii.asciiDomain : lower;
+}
+
+/**
+ * Clean up a rule as entered by the user
+ * @param {Object} rule - { domains, separator, ignoreDots, caseSensitive, canonicalDomain }
+ * @returns {Object|null} Normalized rule, or null if it has no domain
+ */
+export function normalizeCanonicalRule(rule) {
+  const domains = [...new Set((rule?.domains || []).map(normalizeDomain).filter(Boolean))];
+  if (domains.length === 0) {
+    return null;
+  }
+
+  return {
+    domains,
+    separator: SUBADDRESS_SEPARATORS.includes(rule.separator) ? rule.separator : "",
+    ignoreDots: rule.ignoreDots === true,
+    caseSensitive: rule.caseSensitive === true,
+    canonicalDomain: normalizeDomain(rule.canonicalDomain),
+  };
+}
+
+/**
+ * Create a function returning the canonical form of an address
+ * @param {Array} userRules - The user's rules, checked before the built-in ones
+ * @returns {Function} (email) => canonical address; equal canonical forms mean the same mailbox
+ */
+export function createCanonicalizer(userRules = []) {
+  const rules = [
+    ...(userRules || []).map(normalizeCanonicalRule).filter(Boolean),
+    ...BUILT_IN_CANONICAL_RULES,
+  ];
+
+  return (email) => {
+    const at = email.lastIndexOf("@");
+    if (at <= 0) {
+      return email.trim().toLowerCase();
+    }
+
+    let localPart = email.substring(0, at).trim();
+    const domain = normalizeDomain(email.substring(at + 1));
+    const rule = rules.find((candidate) => candidate.domains.includes(domain)) || null;
+
+    // Quoted local parts are compared as written, apart from case
+    if (rule && !localPart.startsWith('"')) {
+      if (rule.separator) {
+        const tag = localPart.indexOf(rule.separator);
+        if (tag > 0) {
+          localPart = localPart.substring(0, tag);
+        }
+      }
+      if (rule.ignoreDots) {
+        localPart = localPart.replace(/\./g, "");
+      }
+    }
+
+    if (!rule?.caseSensitive) {
+      localPart = localPart.toLowerCase();
+    }
+
+    return `${localPart}@${rule?.canonicalDomain || domain}`;
+  };
+}
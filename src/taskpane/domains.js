@@ -0,0 +1,180 @@
+/**
+ * ClearSend Internal Domain Rules
+ *
+ * Internal domains are a list of rules, checked in order:
+ * - "corp.example"           the domain, and its subdomains when subdomains count as internal
+ * - "*.corp.example"         a pattern; "*" stands for any characters, so this one
+ *                            matches every subdomain of corp.example but not corp.example
+ * - "!partners.corp.example" an exclusion: the domain and its subdomains are never
+ *                            internal, whatever the other rules say
+ *
+ * The position of the matching rule is kept, so recipients can be grouped in
+ * the order the domains are listed.
+ *
+ * Rules and domains are compared in their ASCII form, with IDN labels encoded
+ * in punycode as the validator does, so "exämple.de" and "xn--exmple-cua.de"
+ * are the same domain.
+ */
+
+import { domainToAscii } from "./validator";
+
+const DOMAIN_LABEL = "[a-z0-9](?:[a-z0-9-]*[a-z0-9])?";
+// The top-level domain is letters, or punycode for IDN top-level domains (xn--p1ai)
+const TOP_LEVEL_LABEL = "(?:[a-z]{2,}|xn--[a-z0-9-]*[a-z0-9])";
+const DOMAIN_PATTERN = new RegExp(`^${DOMAIN_LABEL}(?:\\.${DOMAIN_LABEL})*\\.${TOP_LEVEL_LABEL}$`);
+// Dots that IDNA treats as label separators
+const LABEL_SEPARATORS = /[.。．｡]/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Get the ASCII form of a domain or domain pattern
+ * Labels holding a "*" are kept as they are, and must be ASCII
+ * @param {string} domain - Domain, lowercase, possibly with Unicode labels
+ * @returns {string|null} Domain with IDN labels in punycode, or null if a label is not valid
+ */
+function toAsciiDomain(domain) {
+  const labels = domain.split(LABEL_SEPARATORS).map((label) => {
+    if (label.includes("*")) {
+      return /^[a-z0-9*-]+$/.test(label) ? label : null;
+    }
+    const result = label ? domainToAscii(label) : null;
+    return result?.isValid ? result.asciiDomain : null;
+  });
+  return labels.includes(null) ? null : labels.join(".");
+}
+
+/**
+ * Normalize a domain for comparison with the rules
+ * @param {string} domain - Domain as found in an address
+ * @returns {string} Lowercase domain, with IDN labels in punycode when valid
+ */
+export function normalizeDomain(domain) {
+  const lower = String(domain || "")
+    .trim()
+    .toLowerCase();
+  return (lower && toAsciiDomain(lower)) || lower;
+}
+
+/**
+ * Read one internal domain rule as entered
+ * @param {string} text - Rule text, such as "corp.example", "*.corp.example" or "!partners.corp.example"
+ * @returns {Object|null} { type: "domain" | "pattern" | "exclude", domain, text } or null if not valid,
+ *   domain being the ASCII form used for matching and text the rule as entered
+ */
+export function parseDomainRule(text) {
+  const rule = String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^@/, "")
+    .replace(LABEL_SEPARATORS, ".");
+
+  if (rule.startsWith("!")) {
+    const domain = toAsciiDomain(rule.substring(1).replace(/^@/, ""));
+    return domain && DOMAIN_PATTERN.test(domain) ? { type: "exclude", domain, text: rule } : null;
+  }
+
+  if (rule.includes("*")) {
+    // "*" must stand in for whole or partial labels, and one label at least is
+    // literal, so "*" or "*.*" cannot make everyone internal
+    const domain = toAsciiDomain(rule);
+    if (!domain) {
+      return null;
+    }
+    const sample = domain.replace(/\*/g, "xx");
+    const hasLiteralLabel = domain.split(".").some((label) => label && !label.includes("*"));
+    return DOMAIN_PATTERN.test(sample) && hasLiteralLabel
+      ? { type: "pattern", domain, text: rule }
+      : null;
+  }
+
+  const domain = toAsciiDomain(rule);
+  return domain && DOMAIN_PATTERN.test(domain) ? { type: "domain", domain, text: rule } : null;
+}
+
+/**
+ * Get the key two rules share when they are the same rule written differently
+ * (Unicode or punycode, case, a leading "@")
+ * @param {string} text - Rule text
+ * @returns {string} Type and ASCII domain of the rule, or the text when it is not valid
+ */
+export function getDomainRuleKey(text) {
+  const rule = parseDomainRule(text);
+  return rule ? `${rule.type}:${rule.domain}` : String(text || "");
+}
+
+/**
+ * Split pasted or imported text into rules
+ * Rules may be separated by new lines, commas, semicolons or spaces
+ * @param {string} text - Pasted text or file content
+ * @returns {Object} { rules, invalid } with the valid rules normalized, without duplicates
+ */
+export function splitDomainRules(text) {
+  const entries = String(text || "")
+    .split(/[\s,;]+/)
+    .map((entry) => entry.trim().replace(/^"(.*)"$/, "$1"))
+    .filter(Boolean);
+
+  const rules = [];
+  const invalid = [];
+  // Keyed by ASCII form, so a domain entered both as Unicode and as punycode is kept once
+  const seen = new Set();
+  entries.forEach((entry) => {
+    const rule = parseDomainRule(entry);
+    if (!rule) {
+      invalid.push(entry);
+    } else if (!seen.has(getDomainRuleKey(rule.text))) {
+      seen.add(getDomainRuleKey(rule.text));
+      rules.push(rule.text);
+    }
+  });
+
+  return { rules, invalid };
+}
+
+/**
+ * Get the plain domains of a rule list, for uses that need real domains (typo checks)
+ * @param {Array} rules - Internal domain rules
+ * @returns {Array} Domains of the "domain" rules
+ */
+export function getLiteralDomains(rules) {
+  return (rules || [])
+    .map(parseDomainRule)
+    .filter((rule) => rule && rule.type === "domain")
+    .map((rule) => rule.domain);
+}
+
+/**
+ * Create a function telling which internal domain rule a domain matches
+ * @param {Array} rules - Internal domain rules, in priority order
+ * @param {Object} options - { includeSubdomains } whether subdomains of a plain domain are internal (default true)
+ * @returns {Function} (domain) => index of the matching rule, or -1 when not internal
+ */
+export function createDomainMatcher(rules, { includeSubdomains = true } = {}) {
+  const parsed = (rules || []).map(parseDomainRule);
+
+  const isWithin = (domain, parent) => domain === parent || domain.endsWith("." + parent);
+  const matchers = parsed.map((rule) => {
+    if (!rule || rule.type === "exclude") {
+      return () => false;
+    }
+    if (rule.type === "pattern") {
+      const regex = new RegExp(`^${escapeRegExp(rule.domain).replace(/\*/g, ".+")}$`);
+      return (domain) => regex.test(domain);
+    }
+    return includeSubdomains
+      ? (domain) => isWithin(domain, rule.domain)
+      : (domain) => domain === rule.domain;
+  });
+  const exclusions = parsed.filter((rule) => rule && rule.type === "exclude");
+
+  return (domain) => {
+    const normalized = normalizeDomain(domain);
+    if (!normalized || exclusions.some((rule) => isWithin(normalized, rule.domain))) {
+      return -1;
+    }
+    return matchers.findIndex((matches) => matches(normalized));
+  };
+}
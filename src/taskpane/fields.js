@@ -0,0 +1,72 @@
+/**
+ * ClearSend Recipient Fields
+ *
+ * The processing steps work on { to, cc, bcc }. A message gives its To, CC and
+ * BCC fields; a meeting the user organizes gives its required attendees as "to"
+ * and its optional attendees as "cc", and has no "bcc". Because required
+ * attendees come first, an attendee listed twice stays required.
+ *
+ * Resources (rooms, equipment) are not exposed to add-ins while composing a
+ * meeting, so they are left as they are.
+ */
+
+/* global Office */
+
+// Steps that need a BCC field to write to
+const MESSAGE_ONLY_STEPS = ["moveExternalToBcc"];
+
+/**
+ * Tell whether the item is a meeting rather than a message
+ * @param {Object} item - Office.context.mailbox.item
+ * @returns {boolean}
+ */
+export function isAppointment(item) {
+  return Boolean(item) && item.itemType === Office.MailboxEnums.ItemType.Appointment;
+}
+
+/**
+ * Get the Office.js recipient fields of the item
+ * @param {Object} item - Office.context.mailbox.item
+ * @returns {Object} { to, cc, bcc } recipient fields; bcc is null for meetings
+ */
+export function getRecipientFields(item) {
+  if (isAppointment(item)) {
+    return { to: item.requiredAttendees, cc: item.optionalAttendees, bcc: null };
+  }
+  return { to: item.to, cc: item.cc, bcc: item.bcc };
+}
+
+/**
+ * Get the names to show for the fields of the item
+ * @param {Object} item - Office.context.mailbox.item
+ * @returns {Object} { to, cc, bcc } labels
+ */
+export function getFieldLabels(item) {
+  return isAppointment(item)
+    ? { to: "Required", cc: "Optional", bcc: "BCC" }
+    : { to: "To", cc: "CC", bcc: "BCC" };
+}
+
+/**
+ * Adapt the pipeline settings to the item
+ * For meetings, steps writing to BCC are left out, and duplicates are always
+ * kept in the required attendees whatever field order is set for messages
+ * @param {Object} item - Office.context.mailbox.item
+ * @param {Object} userSettings - Settings passed to the pipeline
+ * @returns {Object} Settings to use for this item
+ */
+export function getItemUserSettings(item, userSettings) {
+  if (!isAppointment(item)) {
+    return userSettings;
+  }
+
+  const stepSettings = userSettings.stepSettings || {};
+  return {
+    ...userSettings,
+    enabledSteps: userSettings.enabledSteps.filter((step) => !MESSAGE_ONLY_STEPS.includes(step)),
+    stepSettings: {
+      ...stepSettings,
+      dedupe: { ...(stepSettings.dedupe || {}), fieldOrder: "to,cc,bcc", bccWins: false },
+    },
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * ClearSend Recipient History
+ *
+ * Bounded undo/redo history of the To/CC/BCC fields for the current message.
+ * Entries are snapshots of the three fields; the first entry holds the lists
+ * as they were before ClearSend changed anything.
+ *
+ * All functions are pure: they return a new history instead of changing it.
+ */
+
+const FIELDS = ["to", "cc", "bcc"];
+
+function copyRecipients(recipients) {
+  return {
+    to: [...(recipients.to || [])],
+    cc: [...(recipients.cc || [])],
+    bcc: [...(recipients.bcc || [])],
+  };
+}
+
+function sameRecipients(a, b) {
+  return FIELDS.every((field) => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+}
+
+function createEntry(label, recipients) {
+  return { label, recipients: copyRecipients(recipients), timestamp: Date.now() };
+}
+
+/**
+ * Create an empty history
+ * @param {number} limit - Maximum number of entries kept, oldest are dropped first
+ * @returns {Object} History object
+ */
+export function createHistory(limit) {
+  return { entries: [], index: -1, limit };
+}
+
+/**
+ * Record a change made by ClearSend
+ * Redo entries past the current one are discarded. If the fields were edited
+ * outside ClearSend since the current entry, that state is recorded first so
+ * it can be jumped back to as well.
+ * @param {Object} history - History object
+ * @param {Object} before - {to, cc, bcc} before the change
+ * @param {Object} after - {to, cc, bcc} after the change
+ * @param {string} label - Action label, as shown in the Last action card
+ * @returns {Object} New history object
+ */
+export function recordChange(history, before, after, label) {
+  let entries = history.entries.slice(0, history.index + 1);
+
+  if (entries.length === 0) {
+    entries.push(createEntry("Original lists", before));
+  } else if (!sameRecipients(entries[entries.length - 1].recipients, before)) {
+    entries.push(createEntry("Edited in Outlook", before));
+  }
+
+  entries.push(createEntry(label, after));
+
+  if (entries.length > history.limit) {
+    entries = entries.slice(entries.length - history.limit);
+  }
+
+  return { ...history, entries, index: entries.length - 1 };
+}
+
+/**
+ * Move to another entry of the history
+ * @param {Object} history - History object
+ * @param {number} index - Entry to move to
+ * @returns {Object} New history object (unchanged if the index is out of range)
+ */
+export function moveTo(history, index) {
+  if (index < 0 || index >= history.entries.length) {
+    return history;
+  }
+  return { ...history, index };
+}
+
+export function canUndo(history) {
+  return history.index > 0;
+}
+
+export function canRedo(history) {
+  return history.index >= 0 && history.index < history.entries.length - 1;
+}
+
+/**
+ * Get the current entry of the history
+ * @param {Object} history - History object
+ * @returns {Object|null} Entry {label, recipients, timestamp}, or null if empty
+ */
+export function getCurrentEntry(history) {
+  return history.entries[history.index] || null;
+}
@@ -0,0 +1,111 @@
+/**
+ * ClearSend Identities
+ *
+ * Alias table for people with several addresses, such as first.last@ and
+ * flast@, or an address on a domain kept after a merger. The dedupe step
+ * treats all addresses of an identity as one recipient and keeps the
+ * preferred address.
+ *
+ * An identity is { preferred, aliases } with lowercase addresses; an address
+ * belongs to one identity at most. All functions are pure.
+ */
+
+function normalizeAddress(address) {
+  return String(address || "")
+    .trim()
+    .toLowerCase();
+}
+
+function getMembers(identity) {
+  return [identity.preferred, ...(identity.aliases || [])].map(normalizeAddress).filter(Boolean);
+}
+
+/**
+ * Clean up an alias table as edited by the user
+ * Identities without a preferred address or without aliases are dropped, and an
+ * address listed in several identities stays in the first one only
+ * @param {Array} identities - Identities as stored
+ * @returns {Array} Normalized identities
+ */
+export function normalizeIdentities(identities) {
+  const seen = new Set();
+  const result = [];
+
+  (identities || []).forEach((identity) => {
+    const preferred = normalizeAddress(identity?.preferred);
+    if (!preferred || seen.has(preferred)) return;
+
+    const aliases = [...new Set((identity.aliases || []).map(normalizeAddress))].filter(
+      (alias) => alias && alias !== preferred && !seen.has(alias)
+    );
+    if (aliases.length === 0) return;
+
+    seen.add(preferred);
+    aliases.forEach((alias) => seen.add(alias));
+    result.push({ preferred, aliases });
+  });
+
+  return result;
+}
+
+/**
+ * Record that addresses belong to the same person
+ * Identities already holding one of the addresses are merged into the new one
+ * @param {Array} identities - Current identities
+ * @param {Array} addresses - Addresses of one person, the preferred address first
+ * @returns {Array} New identities
+ */
+export function linkAddresses(identities, addresses) {
+  const linked = [...new Set((addresses || []).map(normalizeAddress).filter(Boolean))];
+  if (linked.length < 2) {
+    return identities;
+  }
+
+  const involved = identities.filter((identity) =>
+    getMembers(identity).some((member) => linked.includes(member))
+  );
+  const members = new Set([...linked, ...involved.flatMap(getMembers)]);
+
+  const preferred = linked[0];
+  members.delete(preferred);
+
+  return [
+    ...identities.filter((identity) => !involved.includes(identity)),
+    { preferred, aliases: [...members] },
+  ];
+}
+
+/**
+ * Read identities from CSV, one person per line with the preferred address first
+ * Cells may be separated by commas, semicolons or tabs; cells without "@"
+ * (names, headers) are ignored
+ * @param {string} text - CSV content
+ * @returns {Array} Identities found, not yet normalized
+ */
+export function parseIdentitiesCsv(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) =>
+      line
+        .split(/[,;\t]/)
+        .map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"))
+        .filter((cell) => cell.includes("@"))
+    )
+    .filter((cells) => cells.length >= 2)
+    .map(([preferred, ...aliases]) => ({ preferred, aliases }));
+}
+
+/**
+ * Add imported identities to the alias table
+ * An imported identity overlapping an existing one is merged into it, with the
+ * imported preferred address
+ * @param {Array} identities - Current identities
+ * @param {Array} imported - Identities to add
+ * @returns {Array} New identities
+ */
+export function mergeIdentities(identities, imported) {
+  return (imported || []).reduce(
+    (merged, identity) => linkAddresses(merged, getMembers(identity)),
+    identities || []
+  );
+}
@@ -13,6 +13,16 @@
 
 /* global window */
 
+import { createCanonicalizer } from "./canonical";
+import {
+  createDomainMatcher,
+  getLiteralDomains,
+  normalizeDomain,
+  parseDomainRule,
+} from "./domains";
+import { normalizeIdentities } from "./identities";
+import { validateAddress } from "./validator";
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -36,22 +46,175 @@ function extractDisplayName(recipient) {
   return recipient.trim();
 }
 
+function formatRecipient(recipient) {
+  if (!recipient) {
+    return "";
+  }
+  if (typeof recipient === "string") {
+    return recipient.trim();
+  }
+  const displayName = (recipient.displayName || "").trim();
+  const emailAddress = (recipient.emailAddress || "").trim();
+  return displayName ? `${displayName} <${emailAddress}>` : emailAddress;
+}
+
+function parseRecipient(recipient) {
+  if (recipient && typeof recipient === "object") {
+    return recipient;
+  }
+  const value = (recipient || "").trim();
+  const match = value.match(/^(.+?)\s*<(.+)>$/);
+  if (match) {
+    return {
+      displayName: match[1].trim(),
+      emailAddress: match[2].trim(),
+    };
+  }
+  return {
+    displayName: "",
+    emailAddress: value,
+  };
+}
+
 // ============================================================================
 // SORT FUNCTIONS
 // ============================================================================
 
-function sortAlphabetical(recipients) {
-  return recipients.sort((a, b) => {
-    const nameA = extractDisplayName(a).toLowerCase();
-    const nameB = extractDisplayName(b).toLowerCase();
+const SORT_MODES = [
+  { value: "name", label: "Display name" },
+  { value: "email", label: "Email address" },
+  { value: "domain", label: "Domain, then name" },
+  { value: "lastName", label: "Last name" },
+];
+
+// Collation locales offered in the sort settings; "" follows the language of Outlook
+const SORT_LOCALES = [
+  { value: "", label: "Outlook language" },
+  { value: "en", label: "English" },
+  { value: "cs", label: "Czech" },
+  { value: "da", label: "Danish" },
+  { value: "nl", label: "Dutch" },
+  { value: "fi", label: "Finnish" },
+  { value: "fr", label: "French" },
+  { value: "de", label: "German" },
+  { value: "de-u-co-phonebk", label: "German (phone book)" },
+  { value: "it", label: "Italian" },
+  { value: "nb", label: "Norwegian" },
+  { value: "pl", label: "Polish" },
+  { value: "pt", label: "Portuguese" },
+  { value: "es", label: "Spanish" },
+  { value: "sv", label: "Swedish" },
+  { value: "tr", label: "Turkish" },
+];
+
+// Per-field sort modes; "default" uses the step's mode
+const SORT_FIELD_MODES = [{ value: "default", label: "Same as above" }, ...SORT_MODES];
+
+// Name without quotes and bracketed notes such as "(Contoso)"; the address when there is none
+function getSortName(recipient) {
+  return extractDisplayName(recipient)
+    .replace(/^"(.*)"$/, "$1")
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Split a name into last name and the rest
+ * "Last, First" and "First Last" are understood; an address without a display
+ * name is read from its "first.last" local part
+ * @param {string} recipient - Recipient as "Name <email>" or an address
+ * @returns {Object} { last, first }
+ */
+function splitPersonName(recipient) {
+  let name = recipient.includes("<") ? getSortName(recipient) : "";
+  if (!name) {
+    const email = extractEmail(recipient);
+    name = email
+      .substring(0, email.lastIndexOf("@"))
+      .replace(/[._-]+/g, " ")
+      .trim();
+  }
+
+  const comma = name.indexOf(",");
+  if (comma > 0) {
+    return { last: name.substring(0, comma).trim(), first: name.substring(comma + 1).trim() };
+  }
+
+  const words = name.split(" ");
+  return { last: words[words.length - 1], first: words.slice(0, -1).join(" ") };
+}
+
+// Values compared in turn for a sort mode
+function getSortValues(recipient, mode) {
+  const email = extractEmail(recipient);
+  const domain = email.substring(email.lastIndexOf("@") + 1);
+
+  switch (mode) {
+    case "email":
+      return [email];
+    case "domain":
+      return [domain, getSortName(recipient)];
+    case "lastName": {
+      const { last, first } = splitPersonName(recipient);
+      return [last, first];
+    }
+    default:
+      return [getSortName(recipient)];
+  }
+}
+
+function createCollator(locale) {
+  try {
+    return new Intl.Collator(locale || undefined, { sensitivity: "base", numeric: true });
+  } catch {
+    // Unknown locale tag
+    return new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+  }
+}
 
-    if (!nameA && !nameB) {
-      const emailA = extractEmail(a).toLowerCase();
-      const emailB = extractEmail(b).toLowerCase();
-      return emailA.localeCompare(emailB);
+/**
+ * Create a comparison function for recipients
+ * Ties are broken by address, then by the recipient as written, so the order
+ * never depends on the input order and sorting a sorted list changes nothing
+ * @param {Object} options - { mode, direction: "asc" | "desc", locale }
+ * @returns {Function} (a, b) => number, for Array.prototype.sort
+ */
+function createRecipientComparator({ mode = "name", direction = "asc", locale = "" } = {}) {
+  const collator = createCollator(locale);
+  const sign = direction === "desc" ? -1 : 1;
+
+  return (a, b) => {
+    const valuesA = [...getSortValues(a, mode), extractEmail(a)];
+    const valuesB = [...getSortValues(b, mode), extractEmail(b)];
+
+    for (let i = 0; i < valuesA.length; i++) {
+      const order = collator.compare(valuesA[i], valuesB[i]);
+      if (order !== 0) {
+        return sign * order;
+      }
     }
 
-    return nameA.localeCompare(nameB);
+    // Same address spelled with different case or display name: compare as written
+    if (a === b) return 0;
+    return sign * (a < b ? -1 : 1);
+  };
+}
+
+/**
+ * Get the comparison function the sort step uses for a field
+ * @param {Object} state - Pipeline state (or any object with stepSettings)
+ * @param {string} field - "to", "cc" or "bcc"
+ * @returns {Function} Comparator from createRecipientComparator
+ */
+function getSortComparator(state, field) {
+  const settings = getStepSettings(state, "sort");
+  const fieldMode = settings[field];
+
+  return createRecipientComparator({
+    mode: fieldMode && fieldMode !== "default" ? fieldMode : settings.mode,
+    direction: settings.direction,
+    locale: settings.locale,
   });
 }
 
@@ -62,9 +225,9 @@ function sortStep(state) {
     bcc: [...state.bcc],
   };
 
-  const sortedTo = sortAlphabetical([...state.to]);
-  const sortedCc = sortAlphabetical([...state.cc]);
-  const sortedBcc = sortAlphabetical([...state.bcc]);
+  const sortedTo = [...state.to].sort(getSortComparator(state, "to"));
+  const sortedCc = [...state.cc].sort(getSortComparator(state, "cc"));
+  const sortedBcc = [...state.bcc].sort(getSortComparator(state, "bcc"));
 
   const action = {
     type: "sort",
@@ -90,72 +253,267 @@ function sortStep(state) {
 // DEDUPE FUNCTIONS
 // ============================================================================
 
-function removeDuplicates(recipients) {
-  const seen = new Set();
-  const removed = [];
+// Plain matching: addresses are duplicates when equal ignoring case
+function getPlainKey(recipient) {
+  return extractEmail(recipient).toLowerCase();
+}
 
-  const unique = recipients.filter((recipient) => {
-    const email = extractEmail(recipient).toLowerCase();
-    if (seen.has(email)) {
-      removed.push(recipient);
-      return false;
-    }
-    seen.add(email);
-    return true;
-  });
+const FIELD_LABELS = { to: "To", cc: "CC", bcc: "BCC" };
+
+// Field precedence orders offered in the dedupe settings: the copy in the first
+// field listed is kept
+const DEDUPE_FIELD_ORDERS = [
+  ["to", "cc", "bcc"],
+  ["to", "bcc", "cc"],
+  ["cc", "to", "bcc"],
+  ["cc", "bcc", "to"],
+  ["bcc", "to", "cc"],
+  ["bcc", "cc", "to"],
+].map((order) => order.join(","));
+
+const DISPLAY_NAME_POLICIES = ["first", "longest", "named"];
+
+const DEFAULT_DEDUPE_POLICY = {
+  fieldOrder: ["to", "cc", "bcc"],
+  bccWins: false,
+  displayName: "first",
+};
 
-  return { unique, removed };
+/**
+ * Get the duplicate resolution policy from the dedupe step settings
+ * @param {Object} settings - { fieldOrder: "to,cc,bcc", bccWins, displayName }
+ * @returns {Object} { fieldOrder: ["to", "cc", "bcc"], bccWins, displayName }
+ */
+function getDedupePolicy(settings = {}) {
+  return {
+    fieldOrder: DEDUPE_FIELD_ORDERS.includes(settings.fieldOrder)
+      ? settings.fieldOrder.split(",")
+      : DEFAULT_DEDUPE_POLICY.fieldOrder,
+    bccWins: settings.bccWins === true,
+    displayName: DISPLAY_NAME_POLICIES.includes(settings.displayName)
+      ? settings.displayName
+      : DEFAULT_DEDUPE_POLICY.displayName,
+  };
 }
 
-function dedupeArrays(to, cc, bcc) {
-  const { unique: uniqueTo, removed: removedFromTo } = removeDuplicates(to);
-  const { unique: uniqueCc, removed: removedFromCc } = removeDuplicates(cc);
-  const { unique: uniqueBcc, removed: removedFromBcc } = removeDuplicates(bcc);
+// Display name of a recipient, empty when it is only the address
+function getRealDisplayName(recipient) {
+  if (!recipient.includes("<")) {
+    return "";
+  }
+  const displayName = extractDisplayName(recipient);
+  return displayName.toLowerCase() === extractEmail(recipient).toLowerCase() ? "" : displayName;
+}
 
-  const allEmails = new Set();
-  const finalTo = [];
-  const finalCc = [];
-  const finalBcc = [];
-  const crossArrayRemoved = [];
+// Pick the copy whose display name survives, following the policy
+function pickDisplayName(copies, policy) {
+  if (policy === "longest") {
+    return copies.reduce((best, copy) =>
+      getRealDisplayName(copy.recipient).length > getRealDisplayName(best.recipient).length
+        ? copy
+        : best
+    );
+  }
+  if (policy === "named") {
+    return copies.find((copy) => getRealDisplayName(copy.recipient)) || copies[0];
+  }
+  return copies[0];
+}
 
-  uniqueTo.forEach((recipient) => {
-    const email = extractEmail(recipient).toLowerCase();
-    if (!allEmails.has(email)) {
-      allEmails.add(email);
-      finalTo.push(recipient);
-    } else {
-      crossArrayRemoved.push(recipient);
-    }
+// Explain why a copy was kept where it is
+function describeDedupeDecision(copies, kept, named, policy) {
+  const fields = [...new Set(copies.map((copy) => copy.field))];
+  const fieldLabels = fields.map((field) => FIELD_LABELS[field]);
+
+  let reason;
+  if (fields.length === 1) {
+    reason = `Kept the first copy in ${FIELD_LABELS[kept.field]}`;
+  } else if (policy.bccWins && kept.field === "bcc") {
+    reason = "Kept in BCC: BCC wins, so private recipients stay private";
+  } else {
+    reason = `Kept in ${FIELD_LABELS[kept.field]}: it comes before ${fieldLabels
+      .filter((label) => label !== FIELD_LABELS[kept.field])
+      .join(" and ")} in the field order`;
+  }
+
+  const displayName = getRealDisplayName(named.recipient);
+  if (displayName !== getRealDisplayName(kept.recipient)) {
+    const nameReasons = {
+      first: "the first one",
+      longest: "the longest one",
+      named: "the first one that is not just the address",
+    };
+    reason += displayName
+      ? `; display name "${displayName}" from ${FIELD_LABELS[named.field]} (${nameReasons[policy.displayName]})`
+      : "; display name dropped (the first copy has none)";
+  }
+
+  return reason;
+}
+
+/**
+ * Remove duplicates within and across the recipient fields
+ * Each address is kept once: in the field that wins under the policy (BCC first
+ * when bccWins and a copy is in BCC, otherwise following fieldOrder), at the
+ * position of its first copy there, with the display name chosen by the policy
+ * @param {Array} to - To recipients
+ * @param {Array} cc - CC recipients
+ * @param {Array} bcc - BCC recipients
+ * @param {Function} getKey - (recipient) => key; equal keys are duplicates
+ * @param {Object} policy - From getDedupePolicy
+ * @returns {Object} { to, cc, bcc, removed, decisions } with one decision per address found more than once:
+ *   { key, kept, keptCopy (as written before renaming), copies (every copy as written), field, fields, reason }
+ */
+function dedupeArrays(to, cc, bcc, getKey = getPlainKey, policy = DEFAULT_DEDUPE_POLICY) {
+  const lists = { to, cc, bcc };
+
+  // Copies of each address, in reading order (To, CC, BCC)
+  const groups = new Map();
+  ["to", "cc", "bcc"].forEach((field) => {
+    lists[field].forEach((recipient, index) => {
+      const key = getKey(recipient);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push({ recipient, field, index });
+    });
   });
 
-  uniqueCc.forEach((recipient) => {
-    const email = extractEmail(recipient).toLowerCase();
-    if (!allEmails.has(email)) {
-      allEmails.add(email);
-      finalCc.push(recipient);
-    } else {
-      crossArrayRemoved.push(recipient);
+  const fieldOrder = policy.bccWins
+    ? ["bcc", ...policy.fieldOrder.filter((field) => field !== "bcc")]
+    : policy.fieldOrder;
+
+  const keptAt = new Map();
+  const removed = [];
+  const decisions = [];
+
+  groups.forEach((copies, key) => {
+    const field = fieldOrder.find((candidate) => copies.some((copy) => copy.field === candidate));
+    const kept = copies.find((copy) => copy.field === field);
+    let recipient = kept.recipient;
+
+    if (copies.length > 1) {
+      const named = pickDisplayName(copies, policy.displayName);
+      const displayName = getRealDisplayName(named.recipient);
+      if (displayName !== getRealDisplayName(kept.recipient)) {
+        const email = extractEmail(kept.recipient);
+        recipient = displayName ? `${displayName} <${email}>` : email;
+      }
+
+      copies.filter((copy) => copy !== kept).forEach((copy) => removed.push(copy.recipient));
+      decisions.push({
+        key,
+        kept: recipient,
+        keptCopy: kept.recipient,
+        copies: copies.map((copy) => copy.recipient),
+        field,
+        fields: copies.map((copy) => copy.field),
+        reason: describeDedupeDecision(copies, kept, named, policy),
+      });
     }
+
+    keptAt.set(`${field}:${kept.index}`, recipient);
   });
 
-  uniqueBcc.forEach((recipient) => {
-    const email = extractEmail(recipient).toLowerCase();
-    if (!allEmails.has(email)) {
-      allEmails.add(email);
-      finalBcc.push(recipient);
-    } else {
-      crossArrayRemoved.push(recipient);
-    }
+  const result = { removed, decisions };
+  ["to", "cc", "bcc"].forEach((field) => {
+    result[field] = lists[field]
+      .map((recipient, index) => keptAt.get(`${field}:${index}`))
+      .filter((recipient) => recipient !== undefined);
+  });
+
+  return result;
+}
+
+/**
+ * Get how recipients are matched by the dedupe step, following its settings
+ * With canonical matching on, provider aliases (+tags, Gmail dots...) share a key;
+ * all addresses of an identity in the alias table share the key of its preferred address
+ * @param {Object} state - Pipeline state (or any object with stepSettings)
+ * @returns {Object} { getKey: (recipient) => key, preferred: Map of identity key to preferred address }
+ */
+function getDedupeMatcher(state) {
+  const { canonical, rules, identities } = getStepSettings(state, "dedupe");
+  const toKey = canonical ? createCanonicalizer(rules) : (email) => email.toLowerCase();
+
+  const identityKeys = new Map();
+  const preferred = new Map();
+  normalizeIdentities(identities).forEach((identity) => {
+    const preferredKey = toKey(identity.preferred);
+    preferred.set(preferredKey, identity.preferred);
+    [identity.preferred, ...identity.aliases].forEach((address) => {
+      identityKeys.set(toKey(address), preferredKey);
+    });
   });
 
   return {
-    to: finalTo,
-    cc: finalCc,
-    bcc: finalBcc,
-    removed: [...removedFromTo, ...removedFromCc, ...removedFromBcc, ...crossArrayRemoved],
+    getKey: (recipient) => {
+      const key = toKey(extractEmail(recipient));
+      return identityKeys.get(key) || key;
+    },
+    preferred,
   };
 }
 
+function getDedupeKey(state) {
+  return getDedupeMatcher(state).getKey;
+}
+
+// When several addresses of an identity were merged, make sure the recipient kept
+// is its preferred address: take it from the removed ones if present, otherwise
+// rewrite the kept one. The display name chosen by the dedupe policy is kept
+function keepPreferredAddresses(result, getKey, preferred) {
+  const lists = { to: [...result.to], cc: [...result.cc], bcc: [...result.bcc] };
+  const removed = [...result.removed];
+  const rewritten = [];
+  const replaced = new Map();
+
+  ["to", "cc", "bcc"].forEach((field) => {
+    lists[field] = lists[field].map((recipient) => {
+      const key = getKey(recipient);
+      const preferredAddress = preferred.get(key);
+      const merged = removed.some((other) => getKey(other) === key);
+      if (
+        !preferredAddress ||
+        !merged ||
+        extractEmail(recipient).toLowerCase() === preferredAddress
+      ) {
+        return recipient;
+      }
+
+      const index = removed.findIndex(
+        (other) => extractEmail(other).toLowerCase() === preferredAddress
+      );
+      const displayName = getRealDisplayName(recipient);
+      if (index !== -1) {
+        const swapped = removed[index];
+        const replacement = displayName ? `${displayName} <${extractEmail(swapped)}>` : swapped;
+        const decision = (result.decisions || []).find((entry) => entry.kept === recipient);
+        removed[index] = decision ? decision.keptCopy : recipient;
+        replaced.set(recipient, replacement);
+        return replacement;
+      }
+
+      const replacement = displayName ? `${displayName} <${preferredAddress}>` : preferredAddress;
+      rewritten.push({ from: recipient, to: replacement });
+      replaced.set(recipient, replacement);
+      return replacement;
+    });
+  });
+
+  const decisions = (result.decisions || []).map((decision) =>
+    replaced.has(decision.kept)
+      ? {
+          ...decision,
+          kept: replaced.get(decision.kept),
+          reason: `${decision.reason}; changed to the preferred address`,
+        }
+      : decision
+  );
+
+  return { ...lists, removed, rewritten, decisions };
+}
+
 function dedupeStep(state) {
   const input = {
     to: [...state.to],
@@ -163,12 +521,38 @@ function dedupeStep(state) {
     bcc: [...state.bcc],
   };
 
-  const result = dedupeArrays(state.to, state.cc, state.bcc);
+  const { getKey, preferred } = getDedupeMatcher(state);
+  const policy = getDedupePolicy(getStepSettings(state, "dedupe"));
+  const result = keepPreferredAddresses(
+    dedupeArrays(state.to, state.cc, state.bcc, getKey, policy),
+    getKey,
+    preferred
+  );
+
+  // Report which kept recipient, and which canonical form, each removed one collapsed into
+  const kept = new Map();
+  [...result.to, ...result.cc, ...result.bcc].forEach((recipient) => {
+    kept.set(getKey(recipient), recipient);
+  });
+  const collapsed = result.removed.map((recipient) => {
+    const keptAs = kept.get(getKey(recipient));
+    return {
+      address: recipient,
+      canonical: getKey(recipient),
+      keptAs,
+      // Spelled differently from the recipient kept: matched through the rules or the alias table
+      alias: getPlainKey(recipient) !== getPlainKey(keptAs),
+    };
+  });
 
   const action = {
     type: "dedupe",
     input: input,
     removed: result.removed,
+    collapsed: collapsed,
+    rewritten: result.rewritten,
+    // One entry per address found more than once, explaining where it was kept and why
+    decisions: result.decisions,
     output: {
       to: result.to,
       cc: result.cc,
@@ -187,6 +571,127 @@ function dedupeStep(state) {
   };
 }
 
+// ============================================================================
+// POSSIBLE DUPLICATES
+// ============================================================================
+
+// Names of at least this many characters may differ by one edit, twice as long by two
+const NAME_EDIT_LENGTH = 8;
+
+/**
+ * Normalize the name of a recipient for comparison
+ * Uses the display name, or a "first.last" local part when there is none;
+ * diacritics, case, punctuation and bracketed notes are dropped and the words
+ * sorted, so "Smith, John" and "John Smith" give the same result
+ * @param {string} recipient - Recipient as "Name <email>" or an address
+ * @returns {string} Normalized name, empty when there are fewer than two words
+ */
+function normalizePersonName(recipient) {
+  const email = extractEmail(recipient);
+  let name = recipient.includes("<") ? extractDisplayName(recipient).replace(/^"(.*)"$/, "$1") : "";
+  if (!name || name.toLowerCase() === email.toLowerCase()) {
+    name = email.substring(0, email.lastIndexOf("@")).replace(/[._-]+/g, " ");
+  }
+
+  const words = name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return words.length >= 2 ? words.sort().join(" ") : "";
+}
+
+/**
+ * Group recipients that are probably the same person under different addresses
+ * Nothing is removed: the groups are for the user to review
+ * @param {Object} lists - { to, cc, bcc }
+ * @param {Function} getKey - Dedupe key; recipients with the same key are exact duplicates, not reported here
+ * @returns {Array} Groups of { name, similar, members: [{ recipient, field }] }, with similar
+ *   false when all normalized names are equal
+ */
+function findPossibleDuplicates(lists, getKey = getPlainKey) {
+  // One entry per mailbox, the first copy found
+  const entries = [];
+  const keys = new Set();
+  ["to", "cc", "bcc"].forEach((field) => {
+    (lists[field] || []).forEach((recipient) => {
+      const key = getKey(recipient);
+      const name = normalizePersonName(recipient);
+      if (keys.has(key) || !name) return;
+      keys.add(key);
+      entries.push({ recipient, field, name });
+    });
+  });
+
+  // Union-find over entries with equal or nearly equal names
+  const parent = entries.map((entry, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+  entries.forEach((entry, i) => {
+    const maxDistance = Math.min(2, Math.floor(entry.name.length / NAME_EDIT_LENGTH));
+    for (let j = i + 1; j < entries.length; j++) {
+      const other = entries[j].name;
+      if (
+        other === entry.name ||
+        (Math.abs(other.length - entry.name.length) <= maxDistance &&
+          getKeyboardDistance(entry.name, other) <= maxDistance)
+      ) {
+        parent[find(j)] = find(i);
+      }
+    }
+  });
+
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(entry);
+  });
+
+  return [...groups.values()]
+    .filter((members) => members.length > 1)
+    .map((members) => ({
+      name:
+        extractDisplayName(members.find((m) => m.recipient.includes("<"))?.recipient || "").replace(
+          /^"(.*)"$/,
+          "$1"
+        ) || members[0].name,
+      similar: members.some((member) => member.name !== members[0].name),
+      members: members.map(({ recipient, field }) => ({ recipient, field })),
+    }));
+}
+
+function possibleDuplicatesStep(state) {
+  const groups = findPossibleDuplicates(state, getDedupeKey(state));
+
+  const action = {
+    type: "possibleDuplicates",
+    input: {
+      to: [...state.to],
+      cc: [...state.cc],
+      bcc: [...state.bcc],
+    },
+    output: {
+      to: state.to,
+      cc: state.cc,
+      bcc: state.bcc,
+    },
+    groups,
+    processed: state.to.length + state.cc.length + state.bcc.length,
+  };
+
+  return {
+    ...state,
+    actions: [...state.actions, action],
+  };
+}
+
 // ============================================================================
 // VALIDATION FUNCTIONS
 // ============================================================================
@@ -205,172 +710,193 @@ const COMMON_TYPOS = {
   "mircosoft.com": "microsoft.com",
 };
 
-function validateEmailFormat(email) {
-  if (!email || typeof email !== "string") {
-    return { isValid: false, message: "Empty or invalid email address" };
-  }
-
-  email = email.trim();
-
-  if (email.length <= 3 && !email.includes("@")) {
-    return { isValid: false, message: "Email address is too short or malformed" };
-  }
-
-  if (email.endsWith(":") && !email.includes("@")) {
-    return { isValid: false, message: "Email appears to be incomplete or malformed" };
-  }
-
-  if (email.length === 0) {
-    return { isValid: false, message: "Empty email address" };
-  }
-
-  if (!email.includes("@")) {
-    return { isValid: false, message: "Email must contain @ symbol" };
-  }
-
-  if (email.split("@").length !== 2) {
-    return { isValid: false, message: "Email must contain exactly one @ symbol" };
-  }
-
-  const [localPart, domainPart] = email.split("@");
-
-  if (!localPart || localPart.length === 0) {
-    return { isValid: false, message: "Email must have content before @ symbol" };
-  }
-
-  if (localPart.length > 64) {
-    return { isValid: false, message: "Local part of email is too long" };
-  }
-
-  if (!domainPart || domainPart.length === 0) {
-    return { isValid: false, message: "Email must have content after @ symbol" };
-  }
-
-  if (domainPart.length > 253) {
-    return { isValid: false, message: "Domain part of email is too long" };
+/**
+ * Check an address against the standards-based validator
+ * @param {string} email - Email address without display name
+ * @param {string} mode - "strict" or "lenient", see validator.js
+ * @returns {Object} { isValid, message, rule } with the failed RFC rule in message and rule
+ */
+function validateEmailFormat(email, mode = "strict") {
+  const result = validateAddress(email, { mode });
+  if (result.isValid) {
+    return { isValid: true };
   }
 
-  if (!domainPart.includes(".")) {
-    return { isValid: false, message: "Domain must contain at least one dot" };
-  }
+  return {
+    isValid: false,
+    message: `${result.message} (${result.rule})`,
+    rule: result.rule,
+  };
+}
 
-  const emailRegex =
-    /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+function getValidationMode(state) {
+  return getStepSettings(state, "validate").mode;
+}
 
-  if (!emailRegex.test(email)) {
-    return { isValid: false, message: "Invalid email format" };
-  }
+// Known good domains for typo checks: internal and partners first, then the configured and learned ones
+function getKnownDomains(state) {
+  return [
+    state.orgDomain,
+    ...getLiteralDomains(state.internalDomains),
+    ...getLiteralDomains(state.partnerDomains),
+    ...(state.knownDomains || []),
+  ].filter(Boolean);
+}
 
-  if (email.includes("..")) {
-    return { isValid: false, message: "Email contains consecutive dots" };
-  }
+// Domains always known to be good, in addition to the configured ones
+const COMMON_DOMAINS = ["gmail.com", "yahoo.com", "hotmail.com", "outlook.com", "microsoft.com"];
 
-  if (email.startsWith(".") || email.endsWith(".")) {
-    return { isValid: false, message: "Email starts or ends with a dot" };
-  }
+const MAX_TYPO_SUGGESTIONS = 3;
 
-  if (email.includes("@.") || email.includes(".@")) {
-    return { isValid: false, message: "Invalid dot placement near @ symbol" };
-  }
+// QWERTY rows, each shifted half a key right of the row above
+const KEYBOARD_ROWS = ["1234567890-", "qwertyuiop", "asdfghjkl", "zxcvbnm"];
 
-  if (email.startsWith("-") || email.endsWith("-")) {
-    return { isValid: false, message: "Email starts or ends with hyphen" };
-  }
+// Edit costs: slips to a neighbouring key, swapped letters and doubled letters
+// are the most common typing mistakes, so they cost less than other edits
+const EDIT_COSTS = {
+  adjacentKey: 0.5,
+  transposition: 0.5,
+  doubledLetter: 0.5,
+  other: 1,
+};
 
-  const domainParts = domainPart.split(".");
-  const tld = domainParts[domainParts.length - 1];
-  if (tld.length < 2) {
-    return { isValid: false, message: "Top-level domain must be at least 2 characters" };
-  }
+const KEYBOARD_NEIGHBOURS = buildKeyboardNeighbours();
+
+function buildKeyboardNeighbours() {
+  const neighbours = new Map();
+
+  KEYBOARD_ROWS.forEach((row, rowIndex) => {
+    [...row].forEach((key, column) => {
+      const keys = new Set([row[column - 1], row[column + 1]]);
+      const above = KEYBOARD_ROWS[rowIndex - 1] || "";
+      const below = KEYBOARD_ROWS[rowIndex + 1] || "";
+      [above[column], above[column + 1], below[column - 1], below[column]].forEach((k) =>
+        keys.add(k)
+      );
+      keys.delete(undefined);
+      neighbours.set(key, keys);
+    });
+  });
 
-  return { isValid: true };
+  return neighbours;
 }
 
-function calculateSimilarity(str1, str2) {
-  const longer = str1.length > str2.length ? str1 : str2;
-  const shorter = str1.length > str2.length ? str2 : str1;
-
-  if (longer.length === 0) {
-    return 1.0;
-  }
-
-  const editDistance = getEditDistance(longer, shorter);
-  return (longer.length - editDistance) / longer.length;
+function getSubstitutionCost(a, b) {
+  if (a === b) return 0;
+  return KEYBOARD_NEIGHBOURS.get(a)?.has(b) ? EDIT_COSTS.adjacentKey : EDIT_COSTS.other;
 }
 
-function getEditDistance(str1, str2) {
+/**
+ * Edit distance between two strings, weighted for typing mistakes
+ * (restricted Damerau-Levenshtein with keyboard-adjacency costs)
+ * @param {string} typed - String as typed
+ * @param {string} intended - Candidate string
+ * @returns {number} Weighted distance, 0 for identical strings
+ */
+function getKeyboardDistance(typed, intended) {
   const matrix = [];
 
-  for (let i = 0; i <= str2.length; i++) {
+  for (let i = 0; i <= typed.length; i++) {
     matrix[i] = [i];
   }
-
-  for (let j = 0; j <= str1.length; j++) {
+  for (let j = 0; j <= intended.length; j++) {
     matrix[0][j] = j;
   }
 
-  for (let i = 1; i <= str2.length; i++) {
-    for (let j = 1; j <= str1.length; j++) {
-      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
+  for (let i = 1; i <= typed.length; i++) {
+    for (let j = 1; j <= intended.length; j++) {
+      const typedChar = typed[i - 1];
+      const intendedChar = intended[j - 1];
+
+      // An extra or missing copy of the previous letter ("yahooo", "yaho")
+      const deletion = typedChar === typed[i - 2] ? EDIT_COSTS.doubledLetter : EDIT_COSTS.other;
+      const insertion =
+        intendedChar === intended[j - 2] ? EDIT_COSTS.doubledLetter : EDIT_COSTS.other;
+
+      matrix[i][j] = Math.min(
+        matrix[i - 1][j] + deletion,
+        matrix[i][j - 1] + insertion,
+        matrix[i - 1][j - 1] + getSubstitutionCost(typedChar, intendedChar)
+      );
+
+      if (i > 1 && j > 1 && typedChar === intended[j - 2] && typed[i - 2] === intendedChar) {
+        matrix[i][j] = Math.min(matrix[i][j], matrix[i - 2][j - 2] + EDIT_COSTS.transposition);
       }
     }
   }
 
-  return matrix[str2.length][str1.length];
+  return matrix[typed.length][intended.length];
 }
 
-function checkForTypos(email) {
-  const domain = email.split("@")[1];
+/**
+ * Rank known domains as corrections for a domain
+ * @param {string} domain - Domain as typed, lowercase
+ * @param {Array} knownDomains - Known good domains, lowercase, in priority order
+ * @returns {Array} Up to MAX_TYPO_SUGGESTIONS domains, closest first
+ */
+function rankDomainSuggestions(domain, knownDomains) {
+  // At most 2 edits, and fewer on short domains where any edit changes a lot
+  const maxDistance = Math.min(2, domain.length * 0.2);
+
+  return knownDomains
+    .filter((known) => Math.abs(known.length - domain.length) <= 2)
+    .map((known, order) => ({ known, order, distance: getKeyboardDistance(domain, known) }))
+    .filter((candidate) => candidate.distance > 0 && candidate.distance < maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.order - b.order)
+    .slice(0, MAX_TYPO_SUGGESTIONS)
+    .map((candidate) => candidate.known);
+}
+
+/**
+ * Check the domain of an address against the known good domains
+ * @param {string} email - Email address without display name
+ * @param {Array} knownDomains - Known good domains (configured, internal, learned)
+ * @returns {Object} { hasTypo } or { hasTypo, suggestion, suggestions, message } with
+ *   suggestions being corrected addresses, best first
+ */
+function checkForTypos(email, knownDomains = []) {
+  const at = email.lastIndexOf("@");
+  const domain = at === -1 ? "" : email.substring(at + 1);
   if (!domain) {
     return { hasTypo: false };
   }
 
   const lowerDomain = domain.toLowerCase();
+  const known = [
+    ...new Set([
+      ...knownDomains.map((d) => d.toLowerCase().trim()).filter(Boolean),
+      ...COMMON_DOMAINS,
+    ]),
+  ];
 
-  if (COMMON_TYPOS[lowerDomain]) {
-    const correctedEmail = email.replace(
-      new RegExp(domain.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i"),
-      COMMON_TYPOS[lowerDomain]
-    );
-
-    return {
-      hasTypo: true,
-      suggestion: correctedEmail,
-      message: `Did you mean "${correctedEmail}"?`,
-    };
+  if (known.includes(lowerDomain)) {
+    return { hasTypo: false };
   }
 
-  const commonDomains = ["gmail.com", "yahoo.com", "hotmail.com", "outlook.com", "microsoft.com"];
+  const domains = COMMON_TYPOS[lowerDomain]
+    ? [COMMON_TYPOS[lowerDomain]]
+    : rankDomainSuggestions(lowerDomain, known);
 
-  for (const commonDomain of commonDomains) {
-    if (Math.abs(lowerDomain.length - commonDomain.length) <= 2) {
-      const similarity = calculateSimilarity(lowerDomain, commonDomain);
-      if (similarity > 0.8) {
-        const correctedEmail = email.replace(
-          new RegExp(domain.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i"),
-          commonDomain
-        );
-
-        return {
-          hasTypo: true,
-          suggestion: correctedEmail,
-          message: `Did you mean "${correctedEmail}"?`,
-        };
-      }
-    }
+  if (domains.length === 0) {
+    return { hasTypo: false };
   }
 
-  return { hasTypo: false };
+  const suggestions = domains.map((d) => email.substring(0, at + 1) + d);
+
+  return {
+    hasTypo: true,
+    suggestion: suggestions[0],
+    suggestions,
+    message: `Did you mean "${suggestions[0]}"?`,
+  };
 }
 
-function validateRecipient(recipient) {
+/**
+ * Validate one recipient and look for domain typos
+ * @param {string} recipient - Recipient string ("Name <email>" or "email")
+ * @param {Object} options - { mode, knownDomains } from the validate step and pipeline state
+ */
+function validateRecipient(recipient, options = {}) {
   const email = extractEmail(recipient);
   const results = {
     address: recipient,
@@ -381,7 +907,7 @@ function validateRecipient(recipient) {
     suggestions: [],
   };
 
-  const formatCheck = validateEmailFormat(email);
+  const formatCheck = validateEmailFormat(email, options.mode);
   if (!formatCheck.isValid) {
     results.isValid = false;
     results.status = "error";
@@ -389,23 +915,23 @@ function validateRecipient(recipient) {
     return results;
   }
 
-  const typoCheck = checkForTypos(email);
+  const typoCheck = checkForTypos(email, options.knownDomains);
   if (typoCheck.hasTypo) {
     results.status = "warning";
     results.warnings.push(typoCheck.message);
-    results.suggestions.push(typoCheck.suggestion);
+    results.suggestions.push(...typoCheck.suggestions);
   }
 
   return results;
 }
 
-function validateAndFilterRecipients(recipients) {
+function validateAndFilterRecipients(recipients, options) {
   const results = [];
   const validRecipients = [];
 
   for (const recipient of recipients) {
     try {
-      const result = validateRecipient(recipient);
+      const result = validateRecipient(recipient, options);
       results.push(result);
 
       if (result.status === "valid" || result.status === "warning") {
@@ -432,9 +958,10 @@ function validateStep(state) {
     bcc: [...state.bcc],
   };
 
-  const processedTo = validateAndFilterRecipients(state.to);
-  const processedCc = validateAndFilterRecipients(state.cc);
-  const processedBcc = validateAndFilterRecipients(state.bcc);
+  const options = { mode: getValidationMode(state), knownDomains: getKnownDomains(state) };
+  const processedTo = validateAndFilterRecipients(state.to, options);
+  const processedCc = validateAndFilterRecipients(state.cc, options);
+  const processedBcc = validateAndFilterRecipients(state.bcc, options);
 
   const allValidationResults = [
     ...processedTo.results,
@@ -477,79 +1004,86 @@ function validateStep(state) {
 // PRIORITIZE INTERNAL FUNCTIONS
 // ============================================================================
 
-function getDomainIndex(email, internalDomains) {
-  if (!email || !email.includes("@")) {
-    return -1;
+/**
+ * Get the matcher for the internal domain rules of the pipeline state
+ * @param {Object} state - Pipeline state ({ internalDomains, internalSubdomains })
+ * @returns {Function|null} (domain) => rule index or -1, see domains.js; null when
+ *   no rule can make a recipient internal
+ */
+function getInternalDomainMatcher(state) {
+  const rules = state.internalDomains || [];
+  if (!rules.some((rule) => parseDomainRule(rule)?.type !== "exclude")) {
+    return null;
   }
+  return createDomainMatcher(rules, { includeSubdomains: state.internalSubdomains !== false });
+}
 
-  const domain = email.split("@")[1].toLowerCase();
+/**
+ * Get the matcher for the trusted partner domain rules of the pipeline state
+ * Partner rules use the internal rule syntax and always cover subdomains; a
+ * domain matching an internal rule too is internal
+ * @param {Object} state - Pipeline state ({ partnerDomains })
+ * @returns {Function|null} (domain) => rule index or -1; null when there is no partner rule
+ */
+function getPartnerDomainMatcher(state) {
+  const rules = state.partnerDomains || [];
+  if (!rules.some((rule) => parseDomainRule(rule)?.type !== "exclude")) {
+    return null;
+  }
+  return createDomainMatcher(rules);
+}
 
-  for (let i = 0; i < internalDomains.length; i++) {
-    const internalDomain = internalDomains[i].toLowerCase();
-    if (domain === internalDomain || domain.endsWith("." + internalDomain)) {
-      return i;
-    }
+function getDomainIndex(email, matchDomain) {
+  if (!email || !email.includes("@") || !matchDomain) {
+    return -1;
   }
 
-  return -1;
+  // A quoted local part may contain @, the domain follows the last one
+  return matchDomain(email.substring(email.lastIndexOf("@") + 1));
 }
 
-function prioritizeInternal(recipients, internalDomains, sortAlphabetically = false) {
+function prioritizeInternal(recipients, matchDomain, compare = null, matchPartner = null) {
   if (!recipients || recipients.length === 0) {
     return recipients;
   }
 
-  if (!internalDomains || internalDomains.length === 0) {
+  if (!matchDomain && !matchPartner) {
     return recipients;
   }
 
   const internal = [];
+  const partners = [];
   const external = [];
 
   recipients.forEach((recipient) => {
     const email = extractEmail(recipient);
-    const domainIndex = getDomainIndex(email, internalDomains);
+    const domainIndex = getDomainIndex(email, matchDomain);
+    const partnerIndex = domainIndex >= 0 ? -1 : getDomainIndex(email, matchPartner);
 
     if (domainIndex >= 0) {
       internal.push({ recipient, domainIndex, email });
+    } else if (partnerIndex >= 0) {
+      partners.push({ recipient, domainIndex: partnerIndex, email });
     } else {
       external.push({ recipient, email });
     }
   });
 
-  internal.sort((a, b) => {
+  const byDomain = (a, b) => {
     if (a.domainIndex !== b.domainIndex) {
       return a.domainIndex - b.domainIndex;
     }
 
-    if (sortAlphabetically) {
-      const nameA = extractDisplayName(a.recipient).toLowerCase();
-      const nameB = extractDisplayName(b.recipient).toLowerCase();
-
-      if (!nameA && !nameB) {
-        return a.email.toLowerCase().localeCompare(b.email.toLowerCase());
-      }
-
-      return nameA.localeCompare(nameB);
-    }
-
-    return 0;
-  });
-
-  if (sortAlphabetically) {
-    external.sort((a, b) => {
-      const nameA = extractDisplayName(a.recipient).toLowerCase();
-      const nameB = extractDisplayName(b.recipient).toLowerCase();
-
-      if (!nameA && !nameB) {
-        return a.email.toLowerCase().localeCompare(b.email.toLowerCase());
-      }
+    return compare ? compare(a.recipient, b.recipient) : 0;
+  };
+  internal.sort(byDomain);
+  partners.sort(byDomain);
 
-      return nameA.localeCompare(nameB);
-    });
+  if (compare) {
+    external.sort((a, b) => compare(a.recipient, b.recipient));
   }
 
-  return [...internal.map((item) => item.recipient), ...external.map((item) => item.recipient)];
+  return [...internal, ...partners, ...external].map((item) => item.recipient);
 }
 
 function prioritizeInternalStep(state) {
@@ -559,12 +1093,21 @@ function prioritizeInternalStep(state) {
     bcc: [...state.bcc],
   };
 
-  const internalDomains = state.internalDomains || [];
-  const sortAlphabetically = state.enabledSteps?.includes("sort") || false;
+  const matchDomain = getInternalDomainMatcher(state);
+  const matchPartner = getPartnerDomainMatcher(state);
+  // Keep the sort step's order within the internal, partner and external groups
+  const sorted = state.enabledSteps?.includes("sort") || false;
+  const prioritize = (field) =>
+    prioritizeInternal(
+      [...state[field]],
+      matchDomain,
+      sorted ? getSortComparator(state, field) : null,
+      matchPartner
+    );
 
-  const prioritizedTo = prioritizeInternal([...state.to], internalDomains, sortAlphabetically);
-  const prioritizedCc = prioritizeInternal([...state.cc], internalDomains, sortAlphabetically);
-  const prioritizedBcc = prioritizeInternal([...state.bcc], internalDomains, sortAlphabetically);
+  const prioritizedTo = prioritize("to");
+  const prioritizedCc = prioritize("cc");
+  const prioritizedBcc = prioritize("bcc");
 
   const action = {
     type: "prioritizeInternal",
@@ -590,46 +1133,37 @@ function prioritizeInternalStep(state) {
 // REMOVE EXTERNAL FUNCTIONS
 // ============================================================================
 
-function isInternalDomain(email, internalDomains) {
-  if (!email || !email.includes("@")) {
-    return false;
-  }
-
-  const domain = email.split("@")[1].toLowerCase();
-
-  for (const internalDomain of internalDomains) {
-    const internal = internalDomain.toLowerCase();
-    if (domain === internal || domain.endsWith("." + internal)) {
-      return true;
-    }
-  }
-
-  return false;
+function isInternalDomain(email, matchDomain) {
+  return getDomainIndex(email, matchDomain) !== -1;
 }
 
-function removeExternal(recipients, internalDomains) {
+function removeExternal(recipients, matchDomain, matchPartner = null) {
   if (!recipients || recipients.length === 0) {
-    return { filtered: [], removed: [] };
+    return { filtered: [], removed: [], partners: [] };
   }
 
-  if (!internalDomains || internalDomains.length === 0) {
-    return { filtered: [...recipients], removed: [] };
+  if (!matchDomain) {
+    return { filtered: [...recipients], removed: [], partners: [] };
   }
 
   const filtered = [];
   const removed = [];
+  const partners = [];
 
   recipients.forEach((recipient) => {
     const email = extractEmail(recipient);
 
-    if (isInternalDomain(email, internalDomains)) {
+    if (isInternalDomain(email, matchDomain)) {
       filtered.push(recipient);
+    } else if (isInternalDomain(email, matchPartner)) {
+      filtered.push(recipient);
+      partners.push(recipient);
     } else {
       removed.push(recipient);
     }
   });
 
-  return { filtered, removed };
+  return { filtered, removed, partners };
 }
 
 function removeExternalStep(state) {
@@ -639,11 +1173,15 @@ function removeExternalStep(state) {
     bcc: [...state.bcc],
   };
 
-  const internalDomains = state.internalDomains || [];
+  const matchDomain = getInternalDomainMatcher(state);
+  // Partners are kept unless the user chose to remove them too
+  const matchPartner = getStepSettings(state, "removeExternal").removePartners
+    ? null
+    : getPartnerDomainMatcher(state);
 
-  const toResult = removeExternal([...state.to], internalDomains);
-  const ccResult = removeExternal([...state.cc], internalDomains);
-  const bccResult = removeExternal([...state.bcc], internalDomains);
+  const toResult = removeExternal([...state.to], matchDomain, matchPartner);
+  const ccResult = removeExternal([...state.cc], matchDomain, matchPartner);
+  const bccResult = removeExternal([...state.bcc], matchDomain, matchPartner);
 
   const totalRemoved = toResult.removed.length + ccResult.removed.length + bccResult.removed.length;
 
@@ -661,6 +1199,7 @@ function removeExternalStep(state) {
       bcc: bccResult.removed,
       total: totalRemoved,
     },
+    partnersKept: [...toResult.partners, ...ccResult.partners, ...bccResult.partners],
     processed: input.to.length + input.cc.length + input.bcc.length,
   };
 
@@ -673,6 +1212,77 @@ function removeExternalStep(state) {
   };
 }
 
+// ============================================================================
+// MOVE EXTERNAL TO BCC FUNCTIONS
+// ============================================================================
+
+function moveExternalToBccStep(state) {
+  const input = {
+    to: [...state.to],
+    cc: [...state.cc],
+    bcc: [...state.bcc],
+  };
+
+  const { movePartners, keepPrimary } = getStepSettings(state, "moveExternalToBcc");
+  const matchDomain = getInternalDomainMatcher(state);
+  // External as the mass-mail check counts it: outside the organization domain and
+  // the internal rules. Without either, everyone would be external: nothing is moved
+  const isExternal = getExternalCheck(state, { countPartners: movePartners });
+  const isVisible = (recipient) => !isExternal || !isExternal(extractEmail(recipient));
+
+  // The first external recipient in To stays there as the one the message is addressed to
+  const primary = keepPrimary ? state.to.find((recipient) => !isVisible(recipient)) || null : null;
+  const stays = (recipient) => recipient === primary || isVisible(recipient);
+
+  const movedTo = state.to.filter((recipient) => !stays(recipient));
+  const movedCc = state.cc.filter((recipient) => !stays(recipient));
+
+  // An address already in BCC is not added a second time
+  const getKey = getDedupeKey(state);
+  const inBcc = new Set(state.bcc.map(getKey));
+  const added = [...movedTo, ...movedCc].filter((recipient) => {
+    const key = getKey(recipient);
+    if (inBcc.has(key)) return false;
+    inBcc.add(key);
+    return true;
+  });
+
+  // Moved recipients take the place the sort and prioritize steps give them in
+  // BCC, so cleaning the cleaned message again changes nothing
+  let bcc = [...state.bcc, ...added];
+  const compare = state.enabledSteps?.includes("sort") ? getSortComparator(state, "bcc") : null;
+  if (added.length > 0 && state.enabledSteps?.includes("prioritizeInternal")) {
+    bcc = prioritizeInternal(bcc, matchDomain, compare, getPartnerDomainMatcher(state));
+  } else if (added.length > 0 && compare) {
+    bcc.sort(compare);
+  }
+
+  const output = {
+    to: state.to.filter(stays),
+    cc: state.cc.filter(stays),
+    bcc,
+  };
+
+  const action = {
+    type: "moveExternalToBcc",
+    input: input,
+    output: output,
+    moved: {
+      to: movedTo,
+      cc: movedCc,
+      total: movedTo.length + movedCc.length,
+    },
+    primary,
+    processed: input.to.length + input.cc.length + input.bcc.length,
+  };
+
+  return {
+    ...state,
+    ...output,
+    actions: [...state.actions, action],
+  };
+}
+
 // ============================================================================
 // FLAG EXTERNAL FUNCTIONS
 // ============================================================================
@@ -687,8 +1297,8 @@ function isExternalEmail(email, orgDomain) {
     return true;
   }
 
-  const normalizedEmailDomain = emailDomain.toLowerCase();
-  const normalizedOrgDomain = orgDomain.toLowerCase();
+  const normalizedEmailDomain = normalizeDomain(emailDomain);
+  const normalizedOrgDomain = normalizeDomain(orgDomain);
 
   if (normalizedEmailDomain === normalizedOrgDomain) {
     return false;
@@ -701,13 +1311,29 @@ function isExternalEmail(email, orgDomain) {
   return true;
 }
 
-function categorizeRecipients(recipients, orgDomain) {
+// External means outside the organization domain, every internal domain rule and,
+// unless countPartners is set, every trusted partner rule
+function getExternalCheck(state, { countPartners = false } = {}) {
+  const { orgDomain } = state;
+  const matchDomain = getInternalDomainMatcher(state);
+  if (!orgDomain && !matchDomain) {
+    return null;
+  }
+
+  const matchPartner = countPartners ? null : getPartnerDomainMatcher(state);
+  return (email) =>
+    (!orgDomain || isExternalEmail(email, orgDomain)) &&
+    !isInternalDomain(email, matchDomain) &&
+    !isInternalDomain(email, matchPartner);
+}
+
+function categorizeRecipients(recipients, isExternal) {
   const internal = [];
   const external = [];
 
   recipients.forEach((recipient) => {
     const email = extractEmail(recipient);
-    if (isExternalEmail(email, orgDomain)) {
+    if (isExternal(email)) {
       external.push({
         recipient,
         email,
@@ -727,10 +1353,45 @@ function categorizeRecipients(recipients, orgDomain) {
   return { internal, external };
 }
 
+/**
+ * Group external recipients by domain, with their count in each field
+ * Domains in To or CC are seen by every recipient, so they come first, then
+ * the domains with the most recipients
+ * @param {Array} externalRecipients - [{ recipient, domain, field }]
+ * @returns {Array} [{ domain, to, cc, bcc, total, visible, recipients }]
+ */
+function buildExposureReport(externalRecipients) {
+  const domains = [...new Set(externalRecipients.map((r) => r.domain))];
+
+  return domains
+    .map((domain) => {
+      const recipients = externalRecipients.filter((r) => r.domain === domain);
+      const count = (field) => recipients.filter((r) => r.field === field).length;
+      const to = count("to");
+      const cc = count("cc");
+      return {
+        domain,
+        to,
+        cc,
+        bcc: count("bcc"),
+        total: recipients.length,
+        visible: to + cc > 0,
+        recipients: recipients.map((r) => r.recipient),
+      };
+    })
+    .sort(
+      (a, b) =>
+        Number(b.visible) - Number(a.visible) ||
+        b.total - a.total ||
+        a.domain.localeCompare(b.domain)
+    );
+}
+
 function flagExternalStep(state) {
   const { orgDomain } = state;
+  const isExternal = getExternalCheck(state);
 
-  if (!orgDomain) {
+  if (!isExternal) {
     const action = {
       type: "flagExt",
       input: {
@@ -744,9 +1405,10 @@ function flagExternalStep(state) {
         bcc: state.bcc,
       },
       flagged: [],
+      exposure: [],
       processed: 0,
       skipped: true,
-      message: "No organization domain provided",
+      message: "No organization or internal domain set",
     };
 
     return {
@@ -761,9 +1423,9 @@ function flagExternalStep(state) {
     bcc: [...state.bcc],
   };
 
-  const toCategorized = categorizeRecipients(state.to, orgDomain);
-  const ccCategorized = categorizeRecipients(state.cc, orgDomain);
-  const bccCategorized = categorizeRecipients(state.bcc, orgDomain);
+  const toCategorized = categorizeRecipients(state.to, isExternal);
+  const ccCategorized = categorizeRecipients(state.cc, isExternal);
+  const bccCategorized = categorizeRecipients(state.bcc, isExternal);
 
   const allExternal = [
     ...toCategorized.external.map((r) => ({ ...r, field: "to" })),
@@ -779,6 +1441,7 @@ function flagExternalStep(state) {
     acc[domain].push(recipient);
     return acc;
   }, {});
+  const exposure = buildExposureReport(allExternal);
 
   const action = {
     type: "flagExt",
@@ -790,11 +1453,13 @@ function flagExternalStep(state) {
     },
     flagged: allExternal.map((r) => r.recipient),
     externalByDomain: externalDomains,
+    exposure,
     summary: {
       totalRecipients: state.to.length + state.cc.length + state.bcc.length,
       externalCount: allExternal.length,
       internalCount: state.to.length + state.cc.length + state.bcc.length - allExternal.length,
       uniqueExternalDomains: Object.keys(externalDomains).length,
+      visibleExternalDomains: exposure.filter((entry) => entry.visible).length,
     },
     orgDomain: orgDomain,
     processed: state.to.length + state.cc.length + state.bcc.length,
@@ -806,35 +1471,719 @@ function flagExternalStep(state) {
   };
 }
 
+// ============================================================================
+// MASS-MAIL GUARD
+// ============================================================================
+
+/**
+ * Check whether too many external recipients can see each other in To/CC
+ * External recipients are counted as Move external to BCC moves them, so moving
+ * them clears the finding
+ * @param {Object} payload - {to, cc, userSettings: {internalDomains, internalSubdomains, partnerDomains, orgDomain, stepSettings, massMail}}
+ *   with massMail { maxRecipients, maxDomains }; 0 or missing turns a limit off
+ * @returns {Object} { exceeded, recipients, domains, maxRecipients, maxDomains }
+ */
+function checkMassMail(payload) {
+  const settings = payload.userSettings || {};
+  const state = {
+    internalDomains: settings.internalDomains || [],
+    internalSubdomains: settings.internalSubdomains !== false,
+    partnerDomains: settings.partnerDomains || [],
+    orgDomain: settings.orgDomain || "",
+    stepSettings: settings.stepSettings || {},
+  };
+  const maxRecipients = settings.massMail?.maxRecipients || 0;
+  const maxDomains = settings.massMail?.maxDomains || 0;
+
+  const isExternal = getExternalCheck(state, {
+    countPartners: getStepSettings(state, "moveExternalToBcc").movePartners,
+  });
+
+  const visible = isExternal
+    ? [
+        ...categorizeRecipients(payload.to || [], isExternal).external,
+        ...categorizeRecipients(payload.cc || [], isExternal).external,
+      ]
+    : [];
+  const domains = [...new Set(visible.map((r) => r.domain))];
+
+  return {
+    exceeded:
+      (maxRecipients > 0 && visible.length > maxRecipients) ||
+      (maxDomains > 0 && domains.length > maxDomains),
+    recipients: visible.map((r) => r.recipient),
+    domains,
+    maxRecipients,
+    maxDomains,
+  };
+}
+
+// ============================================================================
+// KEEP INVALID FUNCTIONS
+// ============================================================================
+
+function keepInvalidStep(state) {
+  const input = {
+    to: [...state.to],
+    cc: [...state.cc],
+    bcc: [...state.bcc],
+  };
+
+  const mode = getValidationMode(state);
+  const kept = [...state.to, ...state.cc, ...state.bcc].filter(
+    (recipient) => !validateEmailFormat(extractEmail(recipient), mode).isValid
+  );
+
+  const action = {
+    type: "keepInvalid",
+    input: input,
+    output: {
+      to: state.to,
+      cc: state.cc,
+      bcc: state.bcc,
+    },
+    kept: kept,
+    processed: input.to.length + input.cc.length + input.bcc.length,
+  };
+
+  return {
+    ...state,
+    actions: [...state.actions, action],
+  };
+}
+
+// ============================================================================
+// STEP REGISTRY
+// ============================================================================
+
+const stepRegistry = new Map();
+const stepListeners = new Set();
+
+/**
+ * Register a processing step with the orchestrator.
+ * The step function must be pure: it receives the pipeline state and returns a
+ * new state (never mutating the one it was given), appending its action record.
+ *
+ * meta fields:
+ * - label: Name shown in the Configuration tab and the Last action report
+ * - description: Short description shown under the label
+ * - summaryLabel: Text used in the Processing options summary (defaults to label)
+ * - requiresInternalDomains: Step is disabled until an internal domain is configured
+ * - defaultEnabled: Step is enabled for new users
+ * - hidden: Step runs in the pipeline but is not listed in the Configuration tab
+ * - settings: Schema of per-step settings, keyed by setting name, each entry
+ *   { type: "boolean" | "select" | "text" | "number", label, default, options }
+ *   where options is a list of { value, label } for "select"
+ * - describe: (action) => ({ text, changed }) used by the per-step report
+ */
+function registerStep(name, stepFn, meta = {}) {
+  if (!name || typeof name !== "string") {
+    throw new Error("Step name must be a non-empty string");
+  }
+  if (typeof stepFn !== "function") {
+    throw new Error(`Step '${name}' must be a function`);
+  }
+  if (stepRegistry.has(name)) {
+    throw new Error(`Step '${name}' is already registered`);
+  }
+
+  stepRegistry.set(name, {
+    name: name,
+    fn: stepFn,
+    label: meta.label || name,
+    description: meta.description || "",
+    summaryLabel: meta.summaryLabel || meta.label || name,
+    requiresInternalDomains: meta.requiresInternalDomains === true,
+    defaultEnabled: meta.defaultEnabled === true,
+    hidden: meta.hidden === true,
+    settings: meta.settings || {},
+    describe: typeof meta.describe === "function" ? meta.describe : null,
+  });
+
+  stepListeners.forEach((listener) => listener(name));
+}
+
+/**
+ * Be told of steps registered from now on, such as steps added by another script
+ * once the task pane is running
+ * @param {Function} listener - (name) => void, called after each registration
+ * @returns {Function} Call to stop listening
+ */
+function onStepRegistered(listener) {
+  stepListeners.add(listener);
+  return () => stepListeners.delete(listener);
+}
+
+/**
+ * List registered steps (metadata only) in registration order
+ */
+function getRegisteredSteps() {
+  return [...stepRegistry.values()].map((step) => ({
+    name: step.name,
+    label: step.label,
+    description: step.description,
+    summaryLabel: step.summaryLabel,
+    requiresInternalDomains: step.requiresInternalDomains,
+    defaultEnabled: step.defaultEnabled,
+    hidden: step.hidden,
+    settings: { ...step.settings },
+  }));
+}
+
+/**
+ * Get a step's settings from the pipeline state merged over its schema defaults
+ */
+function getStepSettings(state, name) {
+  const schema = stepRegistry.get(name)?.settings || {};
+  const defaults = Object.keys(schema).reduce((acc, key) => {
+    acc[key] = schema[key].default;
+    return acc;
+  }, {});
+
+  return {
+    ...defaults,
+    ...(state.stepSettings?.[name] || {}),
+  };
+}
+
+// ============================================================================
+// ACTION REPORTING
+// ============================================================================
+
+function countReordered(input, output) {
+  return ["to", "cc", "bcc"].reduce((count, field) => {
+    const before = input[field] || [];
+    const after = output[field] || [];
+    return count + after.filter((recipient, index) => before[index] !== recipient).length;
+  }, 0);
+}
+
+function describeAction(action) {
+  const step = stepRegistry.get(action.type);
+  const description = step?.describe
+    ? step.describe(action)
+    : { text: `${action.processed || 0} processed`, changed: false };
+
+  return {
+    type: action.type,
+    label: step?.label || action.type,
+    text: description.text,
+    changed: description.changed === true,
+  };
+}
+
+function summarizeActions(actions) {
+  return (actions || []).map(describeAction);
+}
+
+// ============================================================================
+// CHANGE PREVIEW
+// ============================================================================
+
+const PREVIEW_FIELDS = ["to", "cc", "bcc"];
+
+function getStepLabel(type) {
+  return stepRegistry.get(type)?.label || type;
+}
+
+// Follow each tracked entry through one action: output addresses are matched to
+// input entries in the same field first, then in another field (a move).
+// Input entries left unmatched were removed by the step.
+// Copies merged into a recipient written differently from all of them (a display
+// name taken from another copy, an alias changed to the preferred address) become
+// one new entry, added to merges, so the change is shown and skipped as a unit.
+function trackAction(current, action, merges) {
+  const pool = PREVIEW_FIELDS.flatMap((field) =>
+    current[field].map((entry) => ({ entry, field, used: false }))
+  );
+  const next = { to: [], cc: [], bcc: [] };
+
+  const pending = new Map();
+  (action.decisions || [])
+    .filter((decision) => decision.kept !== decision.keptCopy && decision.copies)
+    .forEach((decision) => {
+      // Each copy takes its own entry, in its own field, so equal copies are all consumed
+      const sources = [];
+      decision.copies.forEach((copy, index) => {
+        const field = decision.fields?.[index];
+        const item =
+          pool.find(
+            (candidate) =>
+              !candidate.used && candidate.field === field && candidate.entry.address === copy
+          ) || pool.find((candidate) => !candidate.used && candidate.entry.address === copy);
+        if (item) {
+          item.used = true;
+          sources.push(item);
+        }
+      });
+
+      const entry = {
+        id: `${action.type}:${decision.key}`,
+        address: decision.kept,
+        mergedBy: action.type,
+        reason: decision.reason,
+        // Original recipients only: addresses added by an earlier step have no place to go back to
+        sources: sources
+          .flatMap((item) => item.entry.sources || [item.entry])
+          .filter((source) => source.index !== undefined),
+      };
+      sources.forEach((item) => {
+        item.entry.mergedInto = entry;
+      });
+      merges.push(entry);
+      pending.set(`${decision.field}\n${decision.kept}`, entry);
+    });
+
+  PREVIEW_FIELDS.forEach((field) => {
+    (action.output?.[field] || []).forEach((address, index) => {
+      const merged = pending.get(`${field}\n${address}`);
+      if (merged) {
+        pending.delete(`${field}\n${address}`);
+        next[field].push(merged);
+        return;
+      }
+
+      const match =
+        pool.find((item) => !item.used && item.field === field && item.entry.address === address) ||
+        pool.find((item) => !item.used && item.entry.address === address);
+
+      if (!match) {
+        next[field].push({ id: `${action.type}:${field}:${index}`, address, added: true });
+        return;
+      }
+
+      match.used = true;
+      next[field].push(match.entry);
+      if (match.field !== field) {
+        match.entry.movedBy = action.type;
+      }
+    });
+  });
+
+  pool
+    .filter((item) => !item.used)
+    .forEach((item) => {
+      item.entry.removedBy = action.type;
+    });
+
+  // Entries that stayed in their field but changed position relative to each other
+  PREVIEW_FIELDS.forEach((field) => {
+    const before = current[field].filter((entry) => next[field].includes(entry));
+    const after = next[field].filter((entry) => before.includes(entry));
+    after.forEach((entry, index) => {
+      if (before[index] !== entry) {
+        entry.reorderedBy = action.type;
+      }
+    });
+  });
+
+  return next;
+}
+
+/**
+ * Build a preview of what a clean would change, without writing anything.
+ * Every original recipient is followed through the actions of the result;
+ * recipients that end up removed, in another field, or in a different relative
+ * order get a row with the step responsible as the reason. Copies merged into a
+ * recipient written differently (renamed, or changed to the preferred address)
+ * get one "changed" row instead, listing the copies it replaces.
+ * @param {Object} recipients - Original {to, cc, bcc} address strings
+ * @param {Object} cleanResult - Result of processRecipients or cleanRecipients
+ * @returns {Object} { rows, original, final } for display and applyChangePreview
+ */
+function buildChangePreview(recipients, cleanResult) {
+  const original = {};
+  PREVIEW_FIELDS.forEach((field) => {
+    original[field] = (recipients[field] || []).map((address, index) => ({
+      id: `${field}:${index}`,
+      field,
+      index,
+      address,
+    }));
+  });
+
+  let current = { to: [...original.to], cc: [...original.cc], bcc: [...original.bcc] };
+  const merges = [];
+  (cleanResult.actions || []).forEach((action) => {
+    current = trackAction(current, action, merges);
+  });
+
+  const finalField = new Map();
+  PREVIEW_FIELDS.forEach((field) => {
+    current[field].forEach((entry, index) => finalField.set(entry, { field, index }));
+  });
+
+  const rows = [];
+  PREVIEW_FIELDS.forEach((field) => {
+    const stayed = original[field].filter((entry) => finalField.get(entry)?.field === field);
+    const finalOrder = current[field].filter((entry) => stayed.includes(entry));
+
+    original[field].forEach((entry) => {
+      const row = { id: entry.id, address: entry.address, field, index: entry.index };
+      const position = finalField.get(entry);
+
+      if (entry.mergedInto) {
+        // Shown with the recipient it was merged into
+      } else if (!position) {
+        rows.push({
+          ...row,
+          change: "removed",
+          step: entry.removedBy,
+          reason: `Removed by ${getStepLabel(entry.removedBy)}`,
+        });
+      } else if (position.field !== field) {
+        rows.push({
+          ...row,
+          change: "moved",
+          toField: position.field,
+          step: entry.movedBy,
+          reason: `Moved from ${field.toUpperCase()} to ${position.field.toUpperCase()} by ${getStepLabel(entry.movedBy)}`,
+        });
+      } else if (finalOrder.indexOf(entry) !== stayed.indexOf(entry)) {
+        rows.push({
+          ...row,
+          change: "reordered",
+          step: entry.reorderedBy,
+          reason: `Position ${entry.index + 1} to ${position.index + 1} by ${getStepLabel(entry.reorderedBy)}`,
+        });
+      }
+    });
+  });
+
+  // A merge of merges only shows the last one, which lists all the original copies
+  merges
+    .filter((entry) => !entry.mergedInto && entry.sources.length > 0)
+    .forEach((entry) => {
+      const position = finalField.get(entry);
+      let after = "";
+      if (!position) {
+        after = `; then removed by ${getStepLabel(entry.removedBy)}`;
+      } else if (entry.movedBy) {
+        after = `; then moved to ${position.field.toUpperCase()} by ${getStepLabel(entry.movedBy)}`;
+      }
+
+      rows.push({
+        id: entry.id,
+        address: entry.address,
+        field: entry.sources[0].field,
+        index: entry.sources[0].index,
+        sources: entry.sources.map((source) => ({ field: source.field, index: source.index })),
+        change: "changed",
+        step: entry.mergedBy,
+        reason: `Replaces ${entry.sources.map((source) => source.address).join(" and ")} by ${getStepLabel(entry.mergedBy)}: ${entry.reason}${after}`,
+      });
+    });
+
+  return {
+    rows,
+    original,
+    final: current,
+  };
+}
+
+/**
+ * Apply a change preview, skipping the rows the user opted out of.
+ * Opted-out recipients go back to their original field and position; skipping a
+ * "changed" row puts back every copy it replaced.
+ * @param {Object} preview - Preview from buildChangePreview
+ * @param {Array} optedOutIds - Ids of the rows to leave unchanged
+ * @returns {Object} {to, cc, bcc} address strings to write back
+ */
+function applyChangePreview(preview, optedOutIds) {
+  const optedOut = new Set(optedOutIds || []);
+  const lists = {};
+  PREVIEW_FIELDS.forEach((field) => {
+    lists[field] = preview.final[field].filter((entry) => !optedOut.has(entry.id));
+  });
+
+  preview.rows
+    .filter((row) => optedOut.has(row.id))
+    .flatMap((row) => row.sources || [{ field: row.field, index: row.index }])
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ field, index }) => {
+      const list = lists[field];
+      list.splice(Math.min(index, list.length), 0, preview.original[field][index]);
+    });
+
+  const result = {};
+  PREVIEW_FIELDS.forEach((field) => {
+    result[field] = lists[field].map((entry) => entry.address);
+  });
+  return result;
+}
+
+// ============================================================================
+// BUILT-IN STEPS
+// ============================================================================
+
+// Aliases listed in the dedupe report, the rest are counted
+const MAX_REPORTED_ALIASES = 3;
+
+registerStep("sort", sortStep, {
+  label: "Sort recipients",
+  description: "Alphabetical ordering",
+  summaryLabel: "Alphabetical sorting",
+  defaultEnabled: true,
+  settings: {
+    mode: { type: "select", label: "Sort by", default: "name", options: SORT_MODES },
+    direction: {
+      type: "select",
+      label: "Order",
+      default: "asc",
+      options: [
+        { value: "asc", label: "A to Z" },
+        { value: "desc", label: "Z to A" },
+      ],
+    },
+    locale: { type: "select", label: "Alphabet", default: "", options: SORT_LOCALES },
+    to: { type: "select", label: "To sorted by", default: "default", options: SORT_FIELD_MODES },
+    cc: { type: "select", label: "CC sorted by", default: "default", options: SORT_FIELD_MODES },
+    bcc: { type: "select", label: "BCC sorted by", default: "default", options: SORT_FIELD_MODES },
+  },
+  describe: (action) => {
+    const moved = countReordered(action.input, action.output);
+    return {
+      text: moved > 0 ? `${moved} of ${action.processed} recipients reordered` : "Already in order",
+      changed: moved > 0,
+    };
+  },
+});
+
+registerStep("dedupe", dedupeStep, {
+  label: "Remove duplicates",
+  description: "Cross-field deduplication",
+  defaultEnabled: true,
+  settings: {
+    canonical: {
+      type: "boolean",
+      label: "Match provider aliases (+tags, Gmail dots)",
+      default: false,
+    },
+    fieldOrder: {
+      type: "select",
+      label: "Keep the copy in",
+      default: "to,cc,bcc",
+      options: DEDUPE_FIELD_ORDERS.map((order) => ({
+        value: order,
+        label: order
+          .split(",")
+          .map((field) => FIELD_LABELS[field])
+          .join(", then "),
+      })),
+    },
+    bccWins: {
+      type: "boolean",
+      label: "BCC wins (private recipients stay in BCC)",
+      default: false,
+    },
+    displayName: {
+      type: "select",
+      label: "Display name kept",
+      default: "first",
+      options: [
+        { value: "first", label: "First one" },
+        { value: "longest", label: "Longest one" },
+        { value: "named", label: "First that is not just the address" },
+      ],
+    },
+  },
+  describe: (action) => {
+    if (action.duplicatesFound === 0) {
+      return { text: "No duplicates found", changed: false };
+    }
+
+    const aliases = (action.collapsed || []).filter((entry) => entry.alias);
+    const listed = aliases
+      .slice(0, MAX_REPORTED_ALIASES)
+      .map((entry) => `${extractEmail(entry.address)} → ${entry.canonical}`);
+    if (aliases.length > MAX_REPORTED_ALIASES) {
+      listed.push(`${aliases.length - MAX_REPORTED_ALIASES} more`);
+    }
+
+    const rewritten = action.rewritten?.length || 0;
+
+    return {
+      text:
+        `${action.duplicatesFound} duplicates removed` +
+        (listed.length > 0 ? ` (${listed.join(", ")})` : "") +
+        (rewritten > 0 ? `, ${rewritten} changed to the preferred address` : ""),
+      changed: true,
+    };
+  },
+});
+
+registerStep("validate", validateStep, {
+  label: "Prevent invalids processing",
+  description: "Processing only with valid addresses",
+  defaultEnabled: true,
+  settings: {
+    mode: {
+      type: "select",
+      label: "Address rules",
+      default: "strict",
+      options: [
+        { value: "strict", label: "Strict (RFC 5322 / 6531)" },
+        { value: "lenient", label: "Lenient (allow dotted local parts, intranet domains)" },
+      ],
+    },
+  },
+  describe: (action) => {
+    const parts = [`${action.processed} checked`];
+    if (action.errorCount > 0) parts.push(`${action.errorCount} invalid removed`);
+    if (action.warningCount > 0) parts.push(`${action.warningCount} warnings`);
+    return { text: parts.join(", "), changed: action.errorCount > 0 };
+  },
+});
+
+registerStep("prioritizeInternal", prioritizeInternalStep, {
+  label: "Prioritize internal",
+  description: "Place internal domains first, then partners",
+  summaryLabel: "Internal domains first",
+  requiresInternalDomains: true,
+  defaultEnabled: true,
+  describe: (action) => {
+    const moved = countReordered(action.input, action.output);
+    return {
+      text: moved > 0 ? `${moved} recipients moved` : "Internal recipients already first",
+      changed: moved > 0,
+    };
+  },
+});
+
+registerStep("removeExternal", removeExternalStep, {
+  label: "Remove external",
+  description: "Delete external recipients",
+  summaryLabel: "Remove externals",
+  requiresInternalDomains: true,
+  settings: {
+    removePartners: {
+      type: "boolean",
+      label: "Remove partner domains too",
+      default: false,
+    },
+  },
+  describe: (action) => {
+    const parts = [
+      action.removed.total > 0
+        ? `${action.removed.total} external removed`
+        : "No external recipients",
+    ];
+    if (action.partnersKept.length > 0) parts.push(`${action.partnersKept.length} partners kept`);
+    return { text: parts.join(", "), changed: action.removed.total > 0 };
+  },
+});
+
+registerStep("moveExternalToBcc", moveExternalToBccStep, {
+  label: "Move external to BCC",
+  description: "Hide external addresses from each other",
+  summaryLabel: "External to BCC",
+  requiresInternalDomains: true,
+  settings: {
+    keepPrimary: {
+      type: "boolean",
+      label: "Keep the first external To recipient in To",
+      default: false,
+    },
+    movePartners: {
+      type: "boolean",
+      label: "Move partner domains too",
+      default: false,
+    },
+  },
+  describe: (action) => {
+    const { to, cc, total } = action.moved;
+    if (total === 0) {
+      return { text: "No external recipients in To or CC", changed: false };
+    }
+    const from = [
+      to.length > 0 ? `${to.length} from To` : "",
+      cc.length > 0 ? `${cc.length} from CC` : "",
+    ].filter(Boolean);
+    return { text: `${total} moved to BCC (${from.join(", ")})`, changed: true };
+  },
+});
+
+registerStep("keepInvalid", keepInvalidStep, {
+  label: "Keep invalid addresses",
+  description: "Copy processed invalids",
+  summaryLabel: "Save invalid addresses",
+  describe: (action) => ({
+    text: action.kept.length > 0 ? `${action.kept.length} invalid saved` : "No invalid addresses",
+    changed: false,
+  }),
+});
+
+registerStep("possibleDuplicates", possibleDuplicatesStep, {
+  label: "Find possible duplicates",
+  description: "Report people listed under several addresses",
+  describe: (action) => ({
+    text:
+      action.groups.length > 0
+        ? `${action.groups.length} possible ${action.groups.length === 1 ? "duplicate" : "duplicates"} to review`
+        : "No possible duplicates",
+    changed: false,
+  }),
+});
+
+registerStep("flagExt", flagExternalStep, {
+  label: "Flag external",
+  description: "Report external domains and who can see them",
+  summaryLabel: "Flag externals",
+  requiresInternalDomains: true,
+  describe: (action) => {
+    if (action.skipped) {
+      return { text: action.message, changed: false };
+    }
+    const { externalCount, uniqueExternalDomains, visibleExternalDomains } = action.summary;
+    const parts = [`${externalCount} external across ${uniqueExternalDomains} domains`];
+    if (visibleExternalDomains > 0) parts.push(`${visibleExternalDomains} visible in To/CC`);
+    return { text: parts.join(", "), changed: false };
+  },
+});
+
 // ============================================================================
 // MAIN ORCHESTRATOR
 // ============================================================================
 
+// Recipient lists handed to steps are frozen: a step that changed a list in
+// place would throw instead of altering the caller's arrays or the input/output
+// recorded by another action. The caller's arrays are copied, never frozen
+function freezeLists(state) {
+  return {
+    ...state,
+    to: Object.freeze(state.to),
+    cc: Object.freeze(state.cc),
+    bcc: Object.freeze(state.bcc),
+  };
+}
+
+/**
+ * Run the enabled steps on the recipients
+ * The payload is never modified; every step receives and returns new lists, so
+ * the result can be kept (undo history, preview) while the caller's arrays stay as read
+ * @param {Object} payload - { to, cc, bcc, userSettings }
+ * @returns {Object} Result with the processed lists, the actions and a summary
+ */
 function processRecipients(payload) {
-  const stepMap = {
-    sort: sortStep,
-    dedupe: dedupeStep,
-    validate: validateStep,
-    prioritizeInternal: prioritizeInternalStep,
-    removeExternal: removeExternalStep,
-    flagExt: flagExternalStep,
-  };
-
-  let state = {
-    to: payload.to || [],
-    cc: payload.cc || [],
-    bcc: payload.bcc || [],
+  let state = freezeLists({
+    to: [...(payload.to || [])],
+    cc: [...(payload.cc || [])],
+    bcc: [...(payload.bcc || [])],
     enabledSteps: payload.userSettings?.enabledSteps || [],
     internalDomains: payload.userSettings?.internalDomains || [],
+    internalSubdomains: payload.userSettings?.internalSubdomains !== false,
+    partnerDomains: payload.userSettings?.partnerDomains || [],
     orgDomain: payload.userSettings?.orgDomain || "",
+    stepSettings: payload.userSettings?.stepSettings || {},
+    knownDomains: payload.userSettings?.knownDomains || [],
     actions: [],
-  };
+  });
 
   for (const stepName of state.enabledSteps) {
-    const stepFn = stepMap[stepName];
-    if (stepFn) {
+    const step = stepRegistry.get(stepName);
+    if (step) {
       try {
-        state = stepFn(state);
+        state = freezeLists(step.fn(state));
       } catch (error) {
         throw new Error(`Step '${stepName}' failed: ${error.message}`);
       }
@@ -858,11 +2207,157 @@ function processRecipients(payload) {
   };
 }
 
+/**
+ * Shared clean entry point used by both the task pane and Quick Clean.
+ * Runs processRecipients with the steps in the order given, except that an
+ * enabled "validate" step blocks processing entirely when invalid addresses
+ * are present (the "Prevent invalids processing" option).
+ * Invalid addresses are always reported so callers can keep a copy of them.
+ */
+function cleanRecipients(payload) {
+  const enabledSteps = payload.userSettings?.enabledSteps || [];
+  const allRecipients = [...(payload.to || []), ...(payload.cc || []), ...(payload.bcc || [])];
+
+  const mode = getValidationMode({ stepSettings: payload.userSettings?.stepSettings });
+  const invalid = allRecipients.filter(
+    (recipient) => !validateEmailFormat(extractEmail(recipient), mode).isValid
+  );
+
+  if (enabledSteps.includes("validate") && invalid.length > 0) {
+    return {
+      success: false,
+      blocked: true,
+      message: "Processing of addresses disabled due to invalid addresses in the lists",
+      invalid: invalid,
+      result: {
+        to: [...(payload.to || [])],
+        cc: [...(payload.cc || [])],
+        bcc: [...(payload.bcc || [])],
+      },
+      actions: [],
+    };
+  }
+
+  return {
+    ...processRecipients(payload),
+    blocked: false,
+    invalid: invalid,
+  };
+}
+
+// ============================================================================
+// SEND CHECK
+// ============================================================================
+
+/**
+ * Check an outgoing message without changing it.
+ * Runs the validate, dedupe and flagExt steps and reports what they found.
+ * Recipients in any internal domain count as internal, as they do for flagExt.
+ * A reply is on an internal-only thread when every recipient it started with was
+ * internal; its external recipients were then added since.
+ * @param {Object} payload - {to, cc, bcc, threadStart, userSettings: {internalDomains, internalSubdomains, partnerDomains, orgDomain, stepSettings, knownDomains, massMail}}
+ *   where threadStart is {to, cc, bcc} as the reply started, or null for a new message
+ * @returns {Object} { invalid, duplicates, external, internalThread, externalChecked, massMail, domains }
+ */
+function checkRecipientsForSend(payload) {
+  const internalDomains = payload.userSettings?.internalDomains || [];
+  const internalSubdomains = payload.userSettings?.internalSubdomains !== false;
+  const orgDomain = payload.userSettings?.orgDomain || getLiteralDomains(internalDomains)[0] || "";
+
+  const result = processRecipients({
+    to: payload.to,
+    cc: payload.cc,
+    bcc: payload.bcc,
+    userSettings: {
+      enabledSteps: ["validate", "dedupe", "flagExt"],
+      internalDomains,
+      internalSubdomains,
+      partnerDomains: payload.userSettings?.partnerDomains,
+      orgDomain,
+      stepSettings: payload.userSettings?.stepSettings,
+      knownDomains: payload.userSettings?.knownDomains,
+    },
+  });
+
+  const findAction = (type) => result.actions.find((action) => action.type === type);
+  const validateAction = findAction("validate");
+  const dedupeAction = findAction("dedupe");
+  const flagAction = findAction("flagExt");
+
+  const external = flagAction.flagged;
+
+  const isExternal = getExternalCheck({
+    orgDomain,
+    internalDomains,
+    internalSubdomains,
+    partnerDomains: payload.userSettings?.partnerDomains,
+  });
+  const threadStart = payload.threadStart;
+  const started = threadStart ? [...threadStart.to, ...threadStart.cc, ...threadStart.bcc] : [];
+  const internalThread =
+    Boolean(isExternal) &&
+    started.length > 0 &&
+    !started.some((recipient) => isExternal(extractEmail(recipient)));
+
+  return {
+    invalid: validateAction.errors.map((error) => error.address),
+    duplicates: dedupeAction.removed,
+    external,
+    internalThread,
+    externalChecked: !flagAction.skipped,
+    massMail: checkMassMail({ ...payload, userSettings: { ...payload.userSettings, orgDomain } }),
+    // Domains of valid recipients without a suspected typo, safe to learn as known domains
+    domains: [
+      ...new Set(
+        validateAction.validationResults
+          .filter((r) => r.status === "valid")
+          .map((r) => r.email.substring(r.email.lastIndexOf("@") + 1).toLowerCase())
+      ),
+    ],
+  };
+}
+
 // Export for use in taskpane.js
 if (typeof window !== "undefined") {
   window.ClearSendProcessors = {
     processRecipients,
+    cleanRecipients,
+    checkRecipientsForSend,
+    checkMassMail,
+    checkForTypos,
+    validateRecipient,
+    getDedupeKey,
+    findPossibleDuplicates,
+    registerStep,
+    onStepRegistered,
+    getRegisteredSteps,
+    getStepSettings,
+    summarizeActions,
+    buildChangePreview,
+    applyChangePreview,
     extractEmail,
     extractDisplayName,
   };
 }
+
+export {
+  processRecipients,
+  cleanRecipients,
+  checkRecipientsForSend,
+  checkMassMail,
+  checkForTypos,
+  validateRecipient,
+  getDedupeKey,
+  findPossibleDuplicates,
+  registerStep,
+  onStepRegistered,
+  getRegisteredSteps,
+  getStepSettings,
+  summarizeActions,
+  buildChangePreview,
+  applyChangePreview,
+  extractEmail,
+  extractDisplayName,
+  formatRecipient,
+  parseRecipient,
+};
@@ -0,0 +1,308 @@
+/**
+ * ClearSend Settings
+ *
+ * Default configuration and roaming settings helpers shared by the task pane
+ * and the ribbon commands, so both entry points read the user's configuration
+ * in exactly the same way.
+ *
+ * Settings are stored with Office.js roaming settings only (no network calls).
+ */
+
+/* global Office */
+
+// Placeholder shown in the internal domains list until the user enters a real domain
+export const PLACEHOLDER_DOMAIN = "mydomain.com";
+
+// Most recently sent-to domains kept for typo suggestions
+export const MAX_LEARNED_DOMAINS = 100;
+
+// Public mail providers: a mailbox there says nothing about the user's organization
+export const PUBLIC_MAIL_DOMAINS = [
+  "gmail.com",
+  "googlemail.com",
+  "outlook.com",
+  "hotmail.com",
+  "live.com",
+  "msn.com",
+  "yahoo.com",
+  "aol.com",
+  "icloud.com",
+  "me.com",
+  "mac.com",
+  "proton.me",
+  "protonmail.com",
+  "fastmail.com",
+  "zoho.com",
+  "gmx.com",
+  "gmx.de",
+  "web.de",
+  "yandex.ru",
+  "mail.ru",
+  "qq.com",
+  "163.com",
+];
+
+// Levels for the send-time check rules: ignore, warn with "Send anyway", or block
+export const SEND_CHECK_LEVELS = ["off", "warn", "block"];
+
+// Context data passed to the task pane by the send check's "Move to BCC" button
+export const MOVE_EXTERNAL_TO_BCC_ACTION = "moveExternalToBcc";
+
+/**
+ * Build a fresh copy of the default settings
+ * @returns {Object} Default settings object
+ */
+export function getDefaultSettings() {
+  return {
+    enabledSteps: ["sort", "dedupe", "validate", "prioritizeInternal"],
+    stepOrder: [
+      "sort",
+      "dedupe",
+      "validate",
+      "prioritizeInternal",
+      "removeExternal",
+      "moveExternalToBcc",
+      "keepInvalid",
+      "possibleDuplicates",
+      "flagExt",
+    ],
+    orgDomain: "",
+    internalDomains: [PLACEHOLDER_DOMAIN],
+    internalSubdomains: true,
+    partnerDomains: [],
+    keepInvalid: false,
+    previewChanges: false,
+    autoClean: false,
+    knownDomains: [],
+    // Remember the domains of sent messages for typo suggestions
+    learnDomains: true,
+    stepSettings: {},
+    sendCheck: {
+      invalid: "warn",
+      duplicates: "warn",
+      external: "warn",
+      // Opt-in at send time; the task pane banner shows the finding either way
+      massMail: "off",
+    },
+    // External recipients and domains visible in To/CC before the mass-mail rule fires
+    massMail: {
+      maxRecipients: 10,
+      maxDomains: 3,
+    },
+  };
+}
+
+/**
+ * Add registered steps that the settings do not know about yet
+ * New steps are appended to the order and enabled if registered as enabled by default
+ * @param {Object} settings - Settings object
+ * @param {Array} registeredSteps - Step metadata from getRegisteredSteps
+ * @returns {Object} New settings object
+ */
+export function syncRegisteredSteps(settings, registeredSteps) {
+  const stepOrder = [...(settings.stepOrder || [])];
+  const enabledSteps = [...(settings.enabledSteps || [])];
+
+  registeredSteps.forEach((step) => {
+    if (!stepOrder.includes(step.name)) {
+      stepOrder.push(step.name);
+      if (step.defaultEnabled && !enabledSteps.includes(step.name)) {
+        enabledSteps.push(step.name);
+      }
+    }
+  });
+
+  return { ...settings, stepOrder, enabledSteps };
+}
+
+/**
+ * Read the saved settings from roaming storage merged over the defaults
+ * @returns {Object} Settings object
+ */
+export function loadSettings() {
+  const savedSettings = Office.context.roamingSettings.get("clearSendSettings");
+
+  if (savedSettings && typeof savedSettings === "object") {
+    return { ...getDefaultSettings(), ...savedSettings };
+  }
+
+  return getDefaultSettings();
+}
+
+/**
+ * Get the send check rules, filling in rules missing from older saved settings
+ * @param {Object} settings - Settings object
+ * @returns {Object} Level for each rule: { invalid, duplicates, external, massMail }
+ */
+export function getSendCheckRules(settings) {
+  const rules = { ...getDefaultSettings().sendCheck, ...(settings.sendCheck || {}) };
+
+  Object.keys(rules).forEach((rule) => {
+    if (!SEND_CHECK_LEVELS.includes(rules[rule])) {
+      rules[rule] = "off";
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Get the mass-mail thresholds, filling in values missing or not valid
+ * @param {Object} settings - Settings object
+ * @returns {Object} { maxRecipients, maxDomains }, whole numbers; 0 turns a limit off
+ */
+export function getMassMailThresholds(settings) {
+  const defaults = getDefaultSettings().massMail;
+  const thresholds = { ...defaults, ...(settings.massMail || {}) };
+
+  Object.keys(defaults).forEach((key) => {
+    const value = Number(thresholds[key]);
+    thresholds[key] = Number.isInteger(value) && value >= 0 ? value : defaults[key];
+  });
+
+  return thresholds;
+}
+
+/**
+ * Get only valid (non-placeholder) internal domains
+ * @param {Array} internalDomains - Internal domains as configured
+ * @returns {Array} Internal domains without blanks or the placeholder
+ */
+export function filterInternalDomains(internalDomains) {
+  return (internalDomains || []).filter(
+    (domain) => domain && domain !== PLACEHOLDER_DOMAIN && domain.trim() !== ""
+  );
+}
+
+/**
+ * Get the domain of the signed-in mailbox, proposed as the organization domain
+ * @returns {string} Lowercase domain, or "" when not available or a public mail provider
+ */
+export function getProfileDomain() {
+  const address = Office.context.mailbox?.userProfile?.emailAddress || "";
+  const at = address.lastIndexOf("@");
+  const domain =
+    at > 0
+      ? address
+          .substring(at + 1)
+          .trim()
+          .toLowerCase()
+      : "";
+
+  return domain && !PUBLIC_MAIL_DOMAINS.includes(domain) ? domain : "";
+}
+
+/**
+ * Use a domain as the organization domain and the first internal domain
+ * The placeholder is dropped; internal domains already entered (aliases) are kept
+ * @param {Object} settings - Settings object
+ * @param {string} domain - Organization domain
+ * @returns {Object} New settings object
+ */
+export function applyOrganizationDomain(settings, domain) {
+  const others = filterInternalDomains(settings.internalDomains).filter((d) => d !== domain);
+  return { ...settings, orgDomain: domain, internalDomains: [domain, ...others] };
+}
+
+/**
+ * Stop using the organization domain, undoing applyOrganizationDomain
+ * Its internal domain rule is removed; the placeholder comes back when no other is left
+ * @param {Object} settings - Settings object
+ * @returns {Object} New settings object
+ */
+export function clearOrganizationDomain(settings) {
+  const others = filterInternalDomains(settings.internalDomains).filter(
+    (d) => d !== settings.orgDomain
+  );
+  return {
+    ...settings,
+    orgDomain: "",
+    internalDomains: others.length > 0 ? others : [PLACEHOLDER_DOMAIN],
+  };
+}
+
+/**
+ * Normalize a user-entered domain list: lowercase, trimmed, without blanks, "@" or duplicates
+ * @param {Array} domains - Domains as entered
+ * @returns {Array} Normalized domains in their original order
+ */
+export function normalizeDomainList(domains) {
+  const normalized = (domains || [])
+    .map((domain) => String(domain).trim().toLowerCase().replace(/^@/, ""))
+    .filter(Boolean);
+
+  return [...new Set(normalized)];
+}
+
+/**
+ * Read the domains learned from sent messages
+ * They are stored apart from the settings, so a task pane saving its settings
+ * never overwrites domains learned meanwhile by the send check
+ * @returns {Array} Learned domains, most recent first
+ */
+export function loadLearnedDomains() {
+  const learned = Office.context.roamingSettings.get("learnedDomains");
+  return Array.isArray(learned) ? learned : [];
+}
+
+/**
+ * Add domains of a sent message to the learned domains
+ * @param {Array} learnedDomains - Currently learned domains, most recent first
+ * @param {Array} domains - Domains of the sent message
+ * @returns {Array} New list, most recent first, bounded to MAX_LEARNED_DOMAINS
+ */
+export function mergeLearnedDomains(learnedDomains, domains) {
+  return normalizeDomainList([...(domains || []), ...(learnedDomains || [])]).slice(
+    0,
+    MAX_LEARNED_DOMAINS
+  );
+}
+
+/**
+ * Get the known good domains used for typo suggestions, besides the internal ones
+ * @param {Object} settings - Settings object
+ * @param {Array} learnedDomains - Domains learned from sent messages
+ * @returns {Array} The user's known domains first, then the learned ones
+ */
+export function getKnownDomains(settings, learnedDomains) {
+  return normalizeDomainList([...(settings.knownDomains || []), ...(learnedDomains || [])]);
+}
+
+/**
+ * Get the enabled steps in the user's drag-and-drop order
+ * Enabled steps missing from a stored order are appended so they still run
+ * @param {Object} settings - Settings object
+ * @returns {Array} Enabled step names in execution order
+ */
+export function getOrderedEnabledSteps(settings) {
+  const enabledSteps = settings.enabledSteps || [];
+  const stepOrder = settings.stepOrder || enabledSteps;
+
+  const ordered = stepOrder.filter((step) => enabledSteps.includes(step));
+  enabledSteps.forEach((step) => {
+    if (!ordered.includes(step)) {
+      ordered.push(step);
+    }
+  });
+
+  return ordered;
+}
+
+/**
+ * Merge newly detected invalid addresses into the saved list, avoiding duplicates
+ * @param {Array} savedInvalidAddresses - Currently saved invalid addresses
+ * @param {Array} invalidAddresses - Newly detected invalid addresses
+ * @returns {Array} New merged list
+ */
+export function mergeSavedInvalidAddresses(savedInvalidAddresses, invalidAddresses) {
+  const merged = [...(savedInvalidAddresses || [])];
+
+  (invalidAddresses || []).forEach((invalid) => {
+    const normalized = invalid.toLowerCase().trim();
+    if (!merged.some((saved) => saved.toLowerCase().trim() === normalized)) {
+      merged.push(invalid);
+    }
+  });
+
+  return merged;
+}
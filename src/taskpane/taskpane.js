@@ -8,7 +8,63 @@
  * No network requests transmit any email or recipient data.
  */
 
-/* global Office, document, window, setTimeout, setInterval, clearTimeout, clearInterval, Blob, URL */
+/* global Office, document, window, setTimeout, setInterval, clearTimeout, clearInterval, Blob, URL, FileReader */
+
+import {
+  applyChangePreview,
+  buildChangePreview,
+  checkMassMail,
+  cleanRecipients,
+  extractEmail,
+  findPossibleDuplicates,
+  formatRecipient,
+  getDedupeKey,
+  getRegisteredSteps,
+  getStepSettings,
+  onStepRegistered,
+  parseRecipient,
+  processRecipients,
+  summarizeActions,
+  validateRecipient,
+} from "./processors";
+import {
+  MOVE_EXTERNAL_TO_BCC_ACTION,
+  PLACEHOLDER_DOMAIN,
+  applyOrganizationDomain,
+  clearOrganizationDomain,
+  filterInternalDomains,
+  getDefaultSettings,
+  getKnownDomains,
+  getMassMailThresholds,
+  getOrderedEnabledSteps,
+  getProfileDomain,
+  getSendCheckRules,
+  loadLearnedDomains,
+  mergeSavedInvalidAddresses,
+  normalizeDomainList,
+  syncRegisteredSteps,
+} from "./settings";
+import {
+  AUTO_CLEAN_NOTIFICATION_KEY,
+  REVERT_AUTO_CLEAN_ACTION,
+  getRevertedRecipients,
+  isAutoCleanSupported,
+  loadAutoCleanSnapshot,
+  pauseAutoClean,
+} from "./autoclean";
+import { canRedo, canUndo, createHistory, getCurrentEntry, moveTo, recordChange } from "./history";
+import { appendActionLog, buildLogRecord, loadActionLog } from "./actionlog";
+import { SUBADDRESS_SEPARATORS } from "./canonical";
+import { linkAddresses, mergeIdentities, parseIdentitiesCsv } from "./identities";
+import { buildBatchesCsv, getFieldOverflow, planBatches } from "./batches";
+import {
+  createDomainMatcher,
+  getDomainRuleKey,
+  getLiteralDomains,
+  parseDomainRule,
+  splitDomainRules,
+} from "./domains";
+import { getFieldLabels, getItemUserSettings, getRecipientFields, isAppointment } from "./fields";
 
 /**
  * Configuration Constants
@@ -28,14 +84,23 @@ const CONFIG = {
   RETRY_BASE_DELAY_MS: 1000, // Base delay for exponential backoff
 
   // Limits
-  MAX_INTERNAL_DOMAINS: 3, // Maximum number of internal domains
   MIN_INTERNAL_DOMAINS: 1, // Minimum number of internal domains
   MAX_RECIPIENTS_PER_FIELD: 500, // Maximum recipients allowed per field (To/CC/BCC) by Outlook
+  MAX_DRAFT_RECIPIENTS_PER_FIELD: 100, // Maximum recipients per field of a new message form
+  HISTORY_LIMIT: 20, // Maximum number of undo/redo states kept for the message
 
   // Validation
   MIN_EMAIL_LENGTH: 3, // Minimum email length to validate
-  EMAIL_REGEX:
-    /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
+};
+
+// Recipient fields that can be rewritten from the task pane
+const RECIPIENT_FIELDS = ["to", "cc", "bcc"];
+
+// Log record kinds whose label only describes the changes, shown with this prefix
+const CLEAN_LOG_KINDS = {
+  clean: "Clean",
+  quickClean: "Quick clean",
+  autoClean: "Auto-clean",
 };
 
 /**
@@ -77,29 +142,22 @@ window.toggleSection = function (contentId, headerElement) {
 const ClearSend = {
   isInitialized: false,
   currentUser: null,
-  settings: {
-    enabledSteps: ["sort", "dedupe", "validate", "prioritizeInternal"],
-    stepOrder: [
-      "sort",
-      "dedupe",
-      "validate",
-      "prioritizeInternal",
-      "removeExternal",
-      "keepInvalid",
-    ],
-    orgDomain: "",
-    internalDomains: ["mydomain.com"],
-    keepInvalid: false,
-  },
+  settings: getDefaultSettings(),
   cache: new Map(),
   recipientChangeTimeout: null, // Timeout handle for debouncing recipient changes
   recipientPollingInterval: null, // Interval handle for polling recipient changes
-  lastRecipientState: null, // Saved state for undo functionality
+  history: createHistory(CONFIG.HISTORY_LIMIT), // Undo/redo states of the recipient fields
+  actionLog: { records: [], original: null }, // What ClearSend did to this message (persisted on the item)
   lastActionMessage: null, // Message describing the last action performed
   isUpdatingDisplay: false, // Flag to prevent concurrent display updates (race condition protection)
   eventHandlers: new Map(), // Store event handler references for proper cleanup
   invalidAddresses: [], // Store detected invalid addresses (current)
   savedInvalidAddresses: [], // Store saved invalid addresses (persisted)
+  learnedDomains: [], // Domains learned from sent messages, for typo suggestions (persisted)
+  pendingPreview: null, // Clean result waiting for Apply / Cancel in the preview panel
+  identitySelection: null, // Addresses picked for "Same person", in click order (null when not selecting)
+  overLimitRecipients: null, // Lists refused for going over the per-field limit, kept for the batch plan
+  batchPlanRecipients: null, // Lists the batch plan shown is for (null when every field fits)
 };
 
 // Initialize ClearSend when Office is ready
@@ -159,17 +217,28 @@ async function initializeClearSend() {
     // Setup event handlers
     setupEventHandlers();
 
+    // Steps registered from now on are added to the Configuration tab as they come
+    onStepRegistered(handleStepRegistered);
+
     // Setup Office.js recipient change listeners
     setupRecipientChangeListeners();
 
-    // Check if we're in compose mode
+    // Check if we're in compose mode (a message, or a meeting the user organizes)
     if (
       Office.context.mailbox.item &&
-      Office.context.mailbox.item.itemType === Office.MailboxEnums.ItemType.Message
+      (Office.context.mailbox.item.itemType === Office.MailboxEnums.ItemType.Message ||
+        isAppointment(Office.context.mailbox.item))
     ) {
+      applyFieldLabels();
       await updateRecipientDisplay();
     }
 
+    // Show what ClearSend already did to this message
+    await loadMessageActionLog();
+
+    // Handle the action that opened the task pane (e.g. the auto-clean infobar)
+    handleInitializationContext();
+
     // Update processing options summary
     updateProcessingOptionsSummary();
 
@@ -182,6 +251,75 @@ async function initializeClearSend() {
   }
 }
 
+/**
+ * Run the action passed by an infobar or send check button that opened the task pane
+ */
+function handleInitializationContext() {
+  const item = Office.context.mailbox.item;
+  if (!item || !item.getInitializationContextAsync) {
+    return;
+  }
+
+  item.getInitializationContextAsync((result) => {
+    if (result.status !== Office.AsyncResultStatus.Succeeded || !result.value) {
+      return;
+    }
+
+    try {
+      const context = JSON.parse(result.value);
+      if (context.action === REVERT_AUTO_CLEAN_ACTION) {
+        revertAutoClean();
+      } else if (context.action === MOVE_EXTERNAL_TO_BCC_ACTION) {
+        handleMoveExternalToBcc();
+      }
+    } catch {
+      // Not a ClearSend action
+    }
+  });
+}
+
+/**
+ * Undo the latest automatic clean of this message, keeping later changes by the user
+ * Auto-clean is paused for the message so it does not clean them again
+ */
+async function revertAutoClean() {
+  try {
+    const snapshot = await loadAutoCleanSnapshot();
+    if (!snapshot) {
+      showToast("Nothing to revert", "warning");
+      return;
+    }
+
+    await pauseAutoClean();
+
+    const before = await getCurrentRecipients();
+    const reverted = getRevertedRecipients(snapshot, before);
+    await updateRecipientsDirectly(
+      convertToOfficeFormat(reverted.to),
+      convertToOfficeFormat(reverted.cc),
+      convertToOfficeFormat(reverted.bcc)
+    );
+
+    Office.context.mailbox.item.notificationMessages.removeAsync(AUTO_CLEAN_NOTIFICATION_KEY);
+    await recordRecipientChange(before, "Automatic clean reverted", "revert");
+    updateLastAction("Automatic clean reverted, auto-clean paused for this message");
+    showToast("Automatic clean reverted", "success");
+
+    await updateRecipientDisplay();
+  } catch (error) {
+    showToast("Failed to revert automatic clean: " + error.message, "error");
+  }
+}
+
+/**
+ * Keep automatic cleaning from redoing what the user just undid or skipped
+ */
+async function pauseAutoCleanForDraft() {
+  if (ClearSend.settings.autoClean && isAutoCleanSupported()) {
+    await pauseAutoClean();
+  }
+}
+
 /**
  * Safe event handler wrapper
  * Wraps event handlers to catch and log errors gracefully
@@ -210,19 +348,19 @@ function setupRecipientChangeListeners() {
     }
 
     // Try event-based listeners first
-    const item = Office.context.mailbox.item;
+    const fields = getRecipientFields(Office.context.mailbox.item);
     let eventListenersSetup = false;
 
     try {
       // Check if event listeners are supported
       if (
-        item.to &&
-        item.to.addHandlerAsync &&
+        fields.to &&
+        fields.to.addHandlerAsync &&
         Office.EventType &&
         Office.EventType.RecipientsChanged
       ) {
         // Listen for To recipients changes
-        item.to.addHandlerAsync(
+        fields.to.addHandlerAsync(
           Office.EventType.RecipientsChanged,
           onRecipientsChanged,
           (result) => {
@@ -234,7 +372,7 @@ function setupRecipientChangeListeners() {
           }
         );
         // Listen for CC recipients changes
-        item.cc.addHandlerAsync(
+        fields.cc.addHandlerAsync(
           Office.EventType.RecipientsChanged,
           onRecipientsChanged,
           (result) => {
@@ -243,8 +381,8 @@ function setupRecipientChangeListeners() {
             }
           }
         );
-        // Listen for BCC recipients changes
-        item.bcc.addHandlerAsync(
+        // Listen for BCC recipients changes (meetings have no BCC)
+        fields.bcc?.addHandlerAsync(
           Office.EventType.RecipientsChanged,
           onRecipientsChanged,
           (result) => {
@@ -286,10 +424,11 @@ function startRecipientPolling() {
   const checkForChanges = async () => {
     try {
       const recipients = await getCurrentRecipients();
+      // Order matters: a reorder in Outlook is a change the display must follow
       const currentHash = JSON.stringify({
-        to: recipients.to.sort(),
-        cc: recipients.cc.sort(),
-        bcc: recipients.bcc.sort(),
+        to: recipients.to,
+        cc: recipients.cc,
+        bcc: recipients.bcc,
       });
 
       // Only trigger update if hash changed (and we have a baseline)
@@ -346,6 +485,8 @@ function setupEventHandlers() {
   // Action buttons
   document.getElementById("summaryRefreshBtn").addEventListener("click", handleRefresh);
   document.getElementById("undoBtn").addEventListener("click", handleUndo);
+  document.getElementById("redoBtn").addEventListener("click", handleRedo);
+  document.getElementById("revertOriginalBtn").addEventListener("click", handleRevertToOriginal);
   document.getElementById("downloadBtn").addEventListener("click", handleDownloadCSV);
 
   // Field toggle buttons
@@ -355,16 +496,10 @@ function setupEventHandlers() {
 
   // Collapsible sections will be set up in initializeClearSend
 
-  // Settings
-  document.getElementById("sortCheck").addEventListener("change", updateSettings);
-  document.getElementById("dedupeCheck").addEventListener("change", updateSettings);
-  document.getElementById("validateCheck").addEventListener("change", updateSettings);
-  document.getElementById("prioritizeInternalCheck").addEventListener("change", updateSettings);
-  document.getElementById("removeExternalCheck").addEventListener("change", updateSettings);
-  document.getElementById("keepInvalidCheck").addEventListener("change", updateSettings);
+  // Settings checkboxes and drag-and-drop are wired up by renderFeatureGrid
 
-  // Initialize drag-and-drop for feature items
-  initializeDragAndDrop();
+  // Accept every suggested fix
+  document.getElementById("fixAllBtn").addEventListener("click", handleFixAll);
 
   // Download invalid addresses
   document.getElementById("downloadInvalidBtn").addEventListener("click", handleDownloadInvalidCSV);
@@ -372,9 +507,83 @@ function setupEventHandlers() {
   // Configuration - Restore defaults button
   document.getElementById("restoreDefaultsBtn").addEventListener("click", handleRestoreDefaults);
 
+  // Configuration - Preview changes option
+  document
+    .getElementById("previewChangesCheck")
+    .addEventListener("change", handlePreviewSettingChange);
+
+  // Configuration - Automatic clean option
+  document
+    .getElementById("autoCleanCheck")
+    .addEventListener("change", handleAutoCleanSettingChange);
+
+  // Configuration - Learning domains from sent messages
+  document
+    .getElementById("learnDomainsCheck")
+    .addEventListener("change", handleLearnDomainsSettingChange);
+
+  // Configuration - Send check rules
+  document.querySelectorAll(".send-check-rule").forEach((select) => {
+    select.addEventListener("change", handleSendCheckRuleChange);
+  });
+  document.querySelectorAll(".mass-mail-threshold").forEach((input) => {
+    input.addEventListener("change", handleMassMailThresholdChange);
+  });
+
+  // Details - Mass-mail banner
+  document
+    .getElementById("moveExternalToBccBtn")
+    .addEventListener("click", handleMoveExternalToBcc);
+
+  // Details - Per-field limit and batch plan
+  document.getElementById("exportBatchesBtn").addEventListener("click", handleExportBatches);
+  document.getElementById("openBatchDraftsBtn").addEventListener("click", handleOpenBatchDrafts);
+  document
+    .getElementById("closeRecipientLimitsBtn")
+    .addEventListener("click", handleCloseRecipientLimits);
+
+  // Configuration - Duplicate matching rules
+  document.getElementById("addCanonicalRuleBtn").addEventListener("click", handleAddCanonicalRule);
+  document.getElementById("addIdentityBtn").addEventListener("click", handleAddIdentity);
+  document.getElementById("importIdentitiesBtn").addEventListener("click", () => {
+    document.getElementById("importIdentitiesInput").click();
+  });
+  document
+    .getElementById("importIdentitiesInput")
+    .addEventListener("change", handleImportIdentities);
+  document.getElementById("samePersonBtn").addEventListener("click", handleSamePerson);
+
+  // Configuration - Internal domains
+  document.getElementById("domainSearchInput").addEventListener("input", filterInternalDomainsList);
+  document.getElementById("addBulkDomainsBtn").addEventListener("click", handleAddBulkDomains);
+  document.getElementById("importDomainsBtn").addEventListener("click", () => {
+    document.getElementById("importDomainsInput").click();
+  });
+  document.getElementById("importDomainsInput").addEventListener("change", handleImportDomains);
+  document
+    .getElementById("internalSubdomainsCheck")
+    .addEventListener("change", handleInternalSubdomainsChange);
+  document.getElementById("orgDomainInput").addEventListener("change", handleOrgDomainChange);
+  document.getElementById("useProfileDomainBtn").addEventListener("click", handleUseProfileDomain);
+
+  // Configuration - Trusted partner domains
+  document
+    .getElementById("partnerDomainsInput")
+    .addEventListener("change", handlePartnerDomainsChange);
+
+  // Configuration - Known domains for typo suggestions
+  document.getElementById("knownDomainsInput").addEventListener("change", handleKnownDomainsChange);
+  document
+    .getElementById("clearLearnedDomainsBtn")
+    .addEventListener("click", handleClearLearnedDomains);
+
   // Footer - Check and clean button
   document.getElementById("checkCleanBtn").addEventListener("click", handleClean);
 
+  // Change preview buttons
+  document.getElementById("previewApplyBtn").addEventListener("click", handlePreviewApply);
+  document.getElementById("previewCancelBtn").addEventListener("click", handlePreviewCancel);
+
   // Keyboard shortcuts
   document.addEventListener("keydown", handleKeyboardShortcuts);
 }
@@ -585,18 +794,8 @@ async function handleClean() {
     // Get current recipients
     const recipients = await getCurrentRecipients();
 
-    // Save current state for undo
-    saveRecipientState(recipients);
-    const totalOriginal = recipients.to.length + recipients.cc.length + recipients.bcc.length;
-
-    // Convert to Office.js format for processing
-    const toRecipients = convertToOfficeFormat(recipients.to);
-    const ccRecipients = convertToOfficeFormat(recipients.cc);
-    const bccRecipients = convertToOfficeFormat(recipients.bcc);
-
-    let processedTo = toRecipients;
-    let processedCc = ccRecipients;
-    let processedBcc = bccRecipients;
+    // A new run replaces any preview that is still open
+    hideChangePreview();
 
     const enabledSteps = getEnabledSteps();
 
@@ -609,171 +808,215 @@ async function handleClean() {
       return;
     }
 
-    let invalidCount = 0;
-    let duplicateCount = 0;
-    let externalRemovedCount = 0;
-
-    const internalDomains = getValidInternalDomains();
-    const sortAlphabetically = enabledSteps.includes("sort");
-
     // Clear invalid addresses array at start
     ClearSend.invalidAddresses = [];
 
-    // Save invalid addresses if keepInvalid is enabled (do this BEFORE any processing)
-    if (ClearSend.settings.keepInvalid) {
-      const allRecipients = [...processedTo, ...processedCc, ...processedBcc];
-      const invalidRecipients = allRecipients.filter(
-        (recipient) => !isValidEmail(recipient.emailAddress || "")
-      );
+    // Run the shared clean pipeline (same engine as Quick Clean)
+    const result = cleanRecipients({
+      to: recipients.to,
+      cc: recipients.cc,
+      bcc: recipients.bcc,
+      userSettings: getItemUserSettings(Office.context.mailbox.item, {
+        enabledSteps: enabledSteps,
+        internalDomains: getValidInternalDomains(),
+        internalSubdomains: ClearSend.settings.internalSubdomains !== false,
+        partnerDomains: ClearSend.settings.partnerDomains || [],
+        orgDomain: ClearSend.settings.orgDomain || "",
+        stepSettings: ClearSend.settings.stepSettings || {},
+        knownDomains: getKnownDomains(ClearSend.settings, ClearSend.learnedDomains),
+      }),
+    });
 
-      if (invalidRecipients.length > 0) {
-        const formattedInvalids = invalidRecipients.map((r) => {
-          if (r.displayName && r.displayName !== r.emailAddress) {
-            return `${r.displayName} <${r.emailAddress}>`;
-          }
-          return r.emailAddress;
-        });
+    // Save invalid addresses if keepInvalid is enabled (done BEFORE anything is rewritten)
+    if (ClearSend.settings.keepInvalid && result.invalid.length > 0) {
+      ClearSend.savedInvalidAddresses = mergeSavedInvalidAddresses(
+        ClearSend.savedInvalidAddresses,
+        result.invalid
+      );
+      saveSavedInvalidAddresses();
+    }
 
-        // Add to saved list, avoiding duplicates
-        formattedInvalids.forEach((invalid) => {
-          const normalized = invalid.toLowerCase().trim();
-          if (
-            !ClearSend.savedInvalidAddresses.some(
-              (saved) => saved.toLowerCase().trim() === normalized
-            )
-          ) {
-            ClearSend.savedInvalidAddresses.push(invalid);
-          }
-        });
+    // Abort processing if there are invalid addresses (prevent invalids processing)
+    if (result.blocked) {
+      showToast(result.message, "error");
+      updateRecipientDisplay();
+      return;
+    }
 
-        // Save to roaming storage
-        saveSavedInvalidAddresses();
+    // Show the changes for review instead of writing them straight away
+    if (ClearSend.settings.previewChanges) {
+      const preview = buildChangePreview(recipients, result);
+      if (preview.rows.length > 0) {
+        showChangePreview(recipients, preview, result.actions);
+        return;
       }
     }
 
-    // Step 1: Validate (if enabled) - this prevents processing if invalids are found
-    if (enabledSteps.includes("validate")) {
-      // Detect invalid addresses
-      const allRecipients = [...processedTo, ...processedCc, ...processedBcc];
-      const invalidRecipients = allRecipients.filter(
-        (recipient) => !isValidEmail(recipient.emailAddress || "")
-      );
+    await applyCleanResult(recipients, result.result, result.actions);
+  } catch (error) {
+    // Check if error is due to recipient limit
+    if (error.message === "RECIPIENT_LIMIT_EXCEEDED") {
+      showRecipientLimits(error.recipients);
+    } else {
+      showToast("Clean failed: " + error.message, "error");
+    }
+  } finally {
+    // Re-enable the clean button
+    const cleanBtn = document.getElementById("cleanBtn");
+    if (cleanBtn) {
+      cleanBtn.disabled = false;
+    }
+  }
+}
 
-      // Abort processing if there are invalid addresses (prevent invalids processing)
-      if (invalidRecipients.length > 0) {
-        invalidCount = invalidRecipients.length;
+/**
+ * Write a clean result back to Outlook and update the Last action card
+ * @param {Object} recipients - Recipients before the clean, saved for undo
+ * @param {Object} lists - Cleaned {to, cc, bcc} address strings
+ * @param {Array} actions - Actions array from processRecipients
+ * @param {number} skipped - Number of preview changes the user opted out of
+ */
+async function applyCleanResult(recipients, lists, actions, skipped = 0) {
+  const totalOriginal = recipients.to.length + recipients.cc.length + recipients.bcc.length;
+  const stepReport = summarizeActions(actions);
 
-        // Show toast and abort processing
-        showToast(
-          "Processing of addresses disabled due to invalid addresses in the lists",
-          "error"
-        );
-        updateRecipientDisplay(recipients);
-        if (cleanBtn) cleanBtn.disabled = false;
-        return;
-      }
+  if (skipped > 0) {
+    await pauseAutoCleanForDraft();
+  }
 
-      // No invalid addresses found, proceed with validation (this will be a no-op since all are valid)
-      const validatedTo = validateRecipients(processedTo);
-      const validatedCc = validateRecipients(processedCc);
-      const validatedBcc = validateRecipients(processedBcc);
+  // Update recipients in Outlook
+  await updateRecipientsDirectly(
+    convertToOfficeFormat(lists.to),
+    convertToOfficeFormat(lists.cc),
+    convertToOfficeFormat(lists.bcc)
+  );
 
-      invalidCount =
-        processedTo.length +
-        processedCc.length +
-        processedBcc.length -
-        (validatedTo.length + validatedCc.length + validatedBcc.length);
+  // Show success toast with processed count
+  showToast(`Success. ${totalOriginal} addresses processed.`, "success");
 
-      processedTo = validatedTo;
-      processedCc = validatedCc;
-      processedBcc = validatedBcc;
-    }
+  // Build last action message from the per-step report
+  const changes = stepReport.filter((step) => step.changed).map((step) => step.text);
+  if (skipped > 0) {
+    changes.push(`${skipped} changes skipped`);
+  }
 
-    // Step 2: Deduplicate (if enabled)
-    if (enabledSteps.includes("dedupe")) {
-      const beforeDedupe = processedTo.length + processedCc.length + processedBcc.length;
-      const deduped = deduplicateRecipients(processedTo, processedCc, processedBcc);
+  if (changes.length > 0) {
+    // Add the clean to the undo history
+    await recordRecipientChange(recipients, changes.join(", "), "clean", actions);
+    updateLastAction(changes.join(", "), stepReport);
+  } else {
+    updateLastAction("No changes applied", stepReport);
+  }
 
-      processedTo = deduped.to;
-      processedCc = deduped.cc;
-      processedBcc = deduped.bcc;
+  // Update recipient analysis display
+  await updateRecipientDisplay();
+}
 
-      const afterDedupe = processedTo.length + processedCc.length + processedBcc.length;
-      duplicateCount = beforeDedupe - afterDedupe;
-    }
+/**
+ * Show the change preview panel
+ * Every row starts selected; unticking a row leaves that recipient untouched
+ * @param {Object} recipients - Recipients the preview was built from
+ * @param {Object} preview - Preview from buildChangePreview
+ * @param {Array} actions - Actions array from processRecipients
+ */
+function showChangePreview(recipients, preview, actions) {
+  const section = document.getElementById("previewSection");
+  const list = document.getElementById("previewList");
+  if (!section || !list) return;
+
+  ClearSend.pendingPreview = { recipients, preview, actions };
+
+  list.innerHTML = preview.rows
+    .map(
+      (row) => `
+            <li class="preview-row ${row.change}">
+                <label class="preview-row-main">
+                    <input type="checkbox" class="preview-row-toggle" data-row-id="${escapeHtml(row.id)}" checked>
+                    <span class="preview-row-address" title="${escapeHtml(row.address)}">${escapeHtml(row.address)}</span>
+                </label>
+                <span class="preview-row-reason">${escapeHtml(row.reason)}</span>
+            </li>
+        `
+    )
+    .join("");
+
+  list.querySelectorAll(".preview-row-toggle").forEach((checkbox) => {
+    checkbox.addEventListener("change", updatePreviewCount);
+  });
+
+  section.style.display = "block";
+  updatePreviewCount();
+  section.scrollIntoView({ behavior: "smooth", block: "start" });
+}
 
-    // Step 3: Remove External (if enabled)
-    if (enabledSteps.includes("removeExternal")) {
-      const toResult = removeExternalRecipients(processedTo, internalDomains);
-      const ccResult = removeExternalRecipients(processedCc, internalDomains);
-      const bccResult = removeExternalRecipients(processedBcc, internalDomains);
+function hideChangePreview() {
+  ClearSend.pendingPreview = null;
 
-      processedTo = toResult.filtered;
-      processedCc = ccResult.filtered;
-      processedBcc = bccResult.filtered;
+  const section = document.getElementById("previewSection");
+  const list = document.getElementById("previewList");
+  if (section) section.style.display = "none";
+  if (list) list.innerHTML = "";
+}
 
-      externalRemovedCount = toResult.removed + ccResult.removed + bccResult.removed;
-    }
+function updatePreviewCount() {
+  const toggles = Array.from(document.querySelectorAll(".preview-row-toggle"));
+  const selected = toggles.filter((checkbox) => checkbox.checked).length;
 
-    // Step 4: Prioritize Internal (if enabled)
-    if (enabledSteps.includes("prioritizeInternal")) {
-      processedTo = prioritizeInternalRecipients(processedTo, internalDomains, sortAlphabetically);
-      processedCc = prioritizeInternalRecipients(processedCc, internalDomains, sortAlphabetically);
-      processedBcc = prioritizeInternalRecipients(
-        processedBcc,
-        internalDomains,
-        sortAlphabetically
-      );
-    } else if (enabledSteps.includes("sort")) {
-      // Step 5: Sort (if enabled and prioritize is not enabled)
-      processedTo = sortRecipients(processedTo);
-      processedCc = sortRecipients(processedCc);
-      processedBcc = sortRecipients(processedBcc);
-    }
+  toggles.forEach((checkbox) => {
+    checkbox.closest(".preview-row").classList.toggle("skipped", !checkbox.checked);
+  });
 
-    // Update recipients in Outlook
-    await updateRecipientsDirectly(processedTo, processedCc, processedBcc);
+  const count = document.getElementById("previewCount");
+  if (count) {
+    count.textContent = `${selected} of ${toggles.length} changes selected`;
+  }
+}
+
+async function handlePreviewApply() {
+  const pending = ClearSend.pendingPreview;
+  if (!pending) return;
 
-    const totalFinal = processedTo.length + processedCc.length + processedBcc.length;
+  const optedOut = Array.from(document.querySelectorAll(".preview-row-toggle"))
+    .filter((checkbox) => !checkbox.checked)
+    .map((checkbox) => checkbox.getAttribute("data-row-id"));
 
-    // Show success toast with processed count
-    showToast(`Success. ${totalOriginal} addresses processed.`, "success");
+  try {
+    // The preview is only valid for the recipients it was built from
+    const current = await getCurrentRecipients();
+    if (JSON.stringify(current) !== JSON.stringify(pending.recipients)) {
+      hideChangePreview();
+      showToast("Recipients changed since the preview. Please process them again.", "warning");
+      return;
+    }
 
-    // Build last action message (without "Cleaned: X recipients" prefix)
-    let lastActionMessage = "";
-    const changes = [];
-    if (invalidCount > 0) changes.push(`${invalidCount} invalid removed`);
-    if (duplicateCount > 0) changes.push(`${duplicateCount} duplicates removed`);
-    if (externalRemovedCount > 0) changes.push(`${externalRemovedCount} external removed`);
+    hideChangePreview();
 
-    if (changes.length > 0) {
-      lastActionMessage = changes.join(", ");
-      // Update last action message and enable undo
-      updateLastAction(lastActionMessage);
-    } else {
-      lastActionMessage = "No changes applied";
-      // Update last action message but disable undo (no changes to revert)
-      updateLastAction(lastActionMessage, false);
+    if (optedOut.length === pending.preview.rows.length) {
+      showToast("No changes applied", "success");
+      updateLastAction("No changes applied", summarizeActions(pending.actions));
+      return;
     }
 
-    // Update recipient analysis display
-    await updateRecipientDisplay();
+    await applyCleanResult(
+      pending.recipients,
+      applyChangePreview(pending.preview, optedOut),
+      pending.actions,
+      optedOut.length
+    );
   } catch (error) {
-    // Check if error is due to recipient limit
     if (error.message === "RECIPIENT_LIMIT_EXCEEDED") {
-      showToast("Exceeded the configured limit of destination addresses in a field", "error");
+      showRecipientLimits(error.recipients);
     } else {
       showToast("Clean failed: " + error.message, "error");
     }
-  } finally {
-    // Re-enable the clean button
-    const cleanBtn = document.getElementById("cleanBtn");
-    if (cleanBtn) {
-      cleanBtn.disabled = false;
-    }
   }
 }
 
+function handlePreviewCancel() {
+  hideChangePreview();
+  showToast("Changes discarded");
+}
+
 async function handleOnlyInternal() {
   showToast("Only Internal feature not yet configured", "warning");
   // TODO: Implement domain filtering once domain configuration is available
@@ -838,13 +1081,8 @@ async function handleRemoveRecipient(event) {
     const field = button.getAttribute("data-field");
     const addressToRemove = decodeURIComponent(button.getAttribute("data-address"));
 
-    // Get current recipients and save state for undo
+    // Get current recipients, kept for the undo history
     const recipients = await getCurrentRecipients();
-    ClearSend.lastRecipientState = {
-      to: [...recipients.to],
-      cc: [...recipients.cc],
-      bcc: [...recipients.bcc],
-    };
 
     // Convert to Office.js format
     const toRecipients = convertToOfficeFormat(recipients.to);
@@ -886,8 +1124,9 @@ async function handleRemoveRecipient(event) {
     // Update recipients in Outlook
     await updateRecipientsDirectly(updatedTo, updatedCc, updatedBcc);
 
-    // Update last action message with undo enabled
-    updateLastAction(`Removed ${addressToRemove} manually`, true);
+    // Add the removal to the undo history
+    await recordRecipientChange(recipients, `Removed ${addressToRemove} manually`, "remove");
+    updateLastAction(`Removed ${addressToRemove} manually`);
 
     // Refresh the display
     await updateRecipientDisplay();
@@ -899,125 +1138,141 @@ async function handleRemoveRecipient(event) {
 }
 
 /**
- * Helper Functions for Local Processing
- */
-
-/**
- * Convert recipient strings to Office.js format
- * Handles both "Display Name <email@domain.com>" and "email@domain.com" formats
- * @param {Array} recipients - Array of recipient strings
- * @returns {Array} Array of recipient objects with displayName and emailAddress
+ * Replace recipients with their suggested corrections in a single write
+ * Each recipient keeps its field, position and display name
+ * @param {Object} recipients - {to, cc, bcc} address strings as currently in Outlook
+ * @param {Array} fixes - [{ field, index, suggestion }]
+ * @param {string} message - Action label for the Last action card and the history
  */
-function convertToOfficeFormat(recipients) {
-  if (!Array.isArray(recipients)) {
-    return [];
-  }
+async function applySuggestedFixes(recipients, fixes, message) {
+  const lists = {
+    to: convertToOfficeFormat(recipients.to),
+    cc: convertToOfficeFormat(recipients.cc),
+    bcc: convertToOfficeFormat(recipients.bcc),
+  };
 
-  return recipients.map((r) => {
-    if (typeof r === "string") {
-      const match = r.match(/^(.+?)\s*<(.+)>$/);
-      if (match) {
-        return {
-          displayName: match[1].trim(),
-          emailAddress: match[2].trim(),
-        };
-      }
-      return {
-        displayName: "",
-        emailAddress: r.trim(),
-      };
-    }
-    // Already in Office format
-    return r;
+  fixes.forEach(({ field, index, suggestion }) => {
+    // Outlook uses the address as display name when none was given: fix both
+    const original = lists[field][index];
+    const namedAfterAddress =
+      !original.displayName ||
+      original.displayName.toLowerCase() === original.emailAddress.toLowerCase();
+    lists[field][index] = {
+      displayName: namedAfterAddress ? "" : original.displayName,
+      emailAddress: suggestion,
+    };
   });
+
+  await updateRecipientsDirectly(lists.to, lists.cc, lists.bcc);
+
+  await recordRecipientChange(recipients, message, "fix");
+  updateLastAction(message);
+
+  await updateRecipientDisplay();
 }
 
 /**
- * Validate recipients using email format rules
- * Filters out invalid email addresses
- * @param {Array} recipients - Array of recipient objects
- * @returns {Array} Array of valid recipients only
+ * Accept the suggested correction of one recipient
+ * @param {Event} event - Click event from a recipient's Accept fix button
  */
-function isValidEmail(email) {
-  // Basic validation checks
-  if (!email || typeof email !== "string") return false;
-  if (!email.includes("@")) return false;
-  if (email.split("@").length !== 2) return false;
+async function handleAcceptFix(event) {
+  try {
+    const button = event.currentTarget;
+    const field = button.getAttribute("data-field");
+    const address = decodeURIComponent(button.getAttribute("data-address"));
+    const suggestion = decodeURIComponent(button.getAttribute("data-suggestion"));
 
-  const [localPart, domainPart] = email.split("@");
-  if (!localPart || !domainPart) return false;
-  if (localPart.length === 0 || domainPart.length === 0) return false;
-  if (!domainPart.includes(".")) return false;
-  if (email.includes("..")) return false; // No consecutive dots
+    // Get current recipients, kept for the undo history
+    const recipients = await getCurrentRecipients();
+    const index = recipients[field].indexOf(address);
+    if (index === -1) {
+      showToast("The recipient has changed, please try again", "warning");
+      await updateRecipientDisplay();
+      return;
+    }
 
-  // Use CONFIG email regex for validation
-  return CONFIG.EMAIL_REGEX.test(email);
-}
+    await applySuggestedFixes(
+      recipients,
+      [{ field, index, suggestion }],
+      `Replaced ${extractEmail(address)} with ${suggestion}`
+    );
 
-function validateRecipients(recipients) {
-  if (!Array.isArray(recipients)) {
-    return [];
+    showToast("Fix applied", "success");
+  } catch (error) {
+    showToast("Failed to apply fix: " + error.message, "error");
   }
-
-  return recipients.filter((recipient) => {
-    const email = recipient.emailAddress || "";
-    return isValidEmail(email);
-  });
 }
 
-function deduplicateRecipients(toRecipients, ccRecipients, bccRecipients) {
-  const uniqueTo = deduplicateArray(toRecipients);
-  const uniqueCc = deduplicateArray(ccRecipients);
-  const uniqueBcc = deduplicateArray(bccRecipients);
-
-  const allEmails = new Set();
-  const finalTo = [];
-  const finalCc = [];
-  const finalBcc = [];
+/**
+ * Accept the suggested corrections of all recipients
+ */
+async function handleFixAll() {
+  try {
+    const recipients = await getCurrentRecipients();
 
-  uniqueTo.forEach((recipient) => {
-    const email = (recipient.emailAddress || "").toLowerCase();
-    if (!allEmails.has(email)) {
-      allEmails.add(email);
-      finalTo.push(recipient);
-    }
-  });
+    const fixes = [];
+    RECIPIENT_FIELDS.forEach((field) => {
+      recipients[field].forEach((address, index) => {
+        const suggestion = getEmailStatus(address).suggestions[0];
+        if (suggestion) {
+          fixes.push({ field, index, suggestion });
+        }
+      });
+    });
 
-  uniqueCc.forEach((recipient) => {
-    const email = (recipient.emailAddress || "").toLowerCase();
-    if (!allEmails.has(email)) {
-      allEmails.add(email);
-      finalCc.push(recipient);
+    if (fixes.length === 0) {
+      showToast("No suggested fixes", "info");
+      await updateRecipientDisplay();
+      return;
     }
-  });
 
-  uniqueBcc.forEach((recipient) => {
-    const email = (recipient.emailAddress || "").toLowerCase();
-    if (!allEmails.has(email)) {
-      allEmails.add(email);
-      finalBcc.push(recipient);
-    }
-  });
+    await applySuggestedFixes(
+      recipients,
+      fixes,
+      `Fixed ${fixes.length} mistyped ${fixes.length === 1 ? "address" : "addresses"}`
+    );
 
-  return { to: finalTo, cc: finalCc, bcc: finalBcc };
+    showToast(`${fixes.length} ${fixes.length === 1 ? "fix" : "fixes"} applied`, "success");
+  } catch (error) {
+    showToast("Failed to apply fixes: " + error.message, "error");
+  }
 }
 
-function deduplicateArray(recipients) {
-  const seen = new Set();
-  return recipients.filter((recipient) => {
-    const email = (recipient.emailAddress || "").toLowerCase();
-    if (seen.has(email)) return false;
-    seen.add(email);
-    return true;
-  });
+/**
+ * Helper Functions for Local Processing
+ */
+
+/**
+ * Convert recipient strings to Office.js format
+ * Handles both "Display Name <email@domain.com>" and "email@domain.com" formats
+ * @param {Array} recipients - Array of recipient strings
+ * @returns {Array} Array of recipient objects with displayName and emailAddress
+ */
+function convertToOfficeFormat(recipients) {
+  if (!Array.isArray(recipients)) {
+    return [];
+  }
+
+  // Objects already in Office format are returned unchanged
+  return recipients.map(parseRecipient);
 }
 
-function sortRecipients(recipients) {
-  return recipients.sort((a, b) => {
-    const nameA = (a.displayName || a.emailAddress || "").toLowerCase();
-    const nameB = (b.displayName || b.emailAddress || "").toLowerCase();
-    return nameA.localeCompare(nameB);
-  });
+/**
+ * Options for validateRecipient, matching what the validate step uses when processing
+ * @returns {Object} { mode, knownDomains }
+ */
+function getValidationOptions() {
+  const { mode } = getStepSettings({ stepSettings: ClearSend.settings.stepSettings }, "validate");
+
+  return {
+    mode,
+    knownDomains: [
+      ClearSend.settings.orgDomain,
+      ...getLiteralDomains(getValidInternalDomains()),
+      ...getLiteralDomains(ClearSend.settings.partnerDomains),
+      ...getKnownDomains(ClearSend.settings, ClearSend.learnedDomains),
+    ].filter(Boolean),
+  };
 }
 
 /**
@@ -1037,127 +1292,6 @@ function escapeHtml(unsafe) {
     .replace(/'/g, "&#039;");
 }
 
-/**
- * Get the domain index for an email address
- * Returns the index of the matching internal domain, or -1 if external
- * @param {string} email - Email address to check
- * @param {Array} internalDomains - Array of internal domain strings
- * @returns {number} Index of matching domain, or -1 if not found
- */
-function getDomainIndex(email, internalDomains) {
-  // Input validation
-  if (!email || typeof email !== "string" || !email.includes("@")) {
-    return -1;
-  }
-  if (!Array.isArray(internalDomains) || internalDomains.length === 0) {
-    return -1;
-  }
-
-  const parts = email.split("@");
-  if (parts.length !== 2) {
-    return -1;
-  }
-
-  const domain = parts[1].toLowerCase().trim();
-  if (!domain) {
-    return -1;
-  }
-
-  for (let i = 0; i < internalDomains.length; i++) {
-    const internalDomain = (internalDomains[i] || "").toLowerCase().trim();
-    if (!internalDomain) {
-      continue;
-    }
-    // Exact match or subdomain match
-    if (domain === internalDomain || domain.endsWith("." + internalDomain)) {
-      return i;
-    }
-  }
-
-  return -1;
-}
-
-function prioritizeInternalRecipients(recipients, internalDomains, sortAlphabetically = false) {
-  if (!recipients || recipients.length === 0) {
-    return recipients;
-  }
-
-  if (!internalDomains || internalDomains.length === 0) {
-    return recipients;
-  }
-
-  // Separate internal and external recipients
-  const internal = [];
-  const external = [];
-
-  recipients.forEach((recipient) => {
-    const email = recipient.emailAddress || "";
-    const domainIndex = getDomainIndex(email, internalDomains);
-
-    if (domainIndex >= 0) {
-      internal.push({ recipient, domainIndex, email });
-    } else {
-      external.push({ recipient, email });
-    }
-  });
-
-  // Sort internal by domain index
-  internal.sort((a, b) => {
-    if (a.domainIndex !== b.domainIndex) {
-      return a.domainIndex - b.domainIndex;
-    }
-
-    // If same domain and alphabetical sorting is enabled, sort alphabetically
-    if (sortAlphabetically) {
-      const nameA = (a.recipient.displayName || a.email).toLowerCase();
-      const nameB = (b.recipient.displayName || b.email).toLowerCase();
-      return nameA.localeCompare(nameB);
-    }
-
-    return 0;
-  });
-
-  // Sort external alphabetically if enabled
-  if (sortAlphabetically) {
-    external.sort((a, b) => {
-      const nameA = (a.recipient.displayName || a.email).toLowerCase();
-      const nameB = (b.recipient.displayName || b.email).toLowerCase();
-      return nameA.localeCompare(nameB);
-    });
-  }
-
-  // Combine: internal first, then external
-  return [...internal.map((item) => item.recipient), ...external.map((item) => item.recipient)];
-}
-
-function removeExternalRecipients(recipients, internalDomains) {
-  if (!recipients || recipients.length === 0) {
-    return { filtered: [], removed: 0 };
-  }
-
-  if (!internalDomains || internalDomains.length === 0) {
-    return { filtered: [...recipients], removed: 0 };
-  }
-
-  const filtered = [];
-  let removedCount = 0;
-
-  recipients.forEach((recipient) => {
-    const email = recipient.emailAddress || "";
-    const domainIndex = getDomainIndex(email, internalDomains);
-
-    if (domainIndex >= 0) {
-      // Internal domain - keep it
-      filtered.push(recipient);
-    } else {
-      // External domain - remove it
-      removedCount++;
-    }
-  });
-
-  return { filtered, removed: removedCount };
-}
-
 /**
  * Promisified helper to set recipients for a specific field
  * @param {Object} field - Office.js recipient field (to, cc, or bcc)
@@ -1205,11 +1339,22 @@ function setRecipientsAsync(field, recipients, fieldName) {
 }
 
 /**
- * Update recipients directly using Office.js
+ * Error for lists going over the per-field limit, carrying them for the batch plan
+ * @param {Object} lists - { to, cc, bcc } address strings that could not be written
+ * @returns {Error} Error with the message "RECIPIENT_LIMIT_EXCEEDED"
+ */
+function createRecipientLimitError(lists) {
+  const error = new Error("RECIPIENT_LIMIT_EXCEEDED");
+  error.recipients = lists;
+  return error;
+}
+
+/**
+ * Update recipients directly using Office.js
  * Uses Promise.all for better performance and error handling
- * @param {Array} toRecipients - Array of To recipient objects
- * @param {Array} ccRecipients - Array of CC recipient objects
- * @param {Array} bccRecipients - Array of BCC recipient objects
+ * @param {Array} toRecipients - Array of To recipient objects (required attendees of a meeting)
+ * @param {Array} ccRecipients - Array of CC recipient objects (optional attendees of a meeting)
+ * @param {Array} bccRecipients - Array of BCC recipient objects, empty for a meeting
  * @returns {Promise<void>}
  */
 async function updateRecipientsDirectly(toRecipients, ccRecipients, bccRecipients) {
@@ -1229,12 +1374,33 @@ async function updateRecipientsDirectly(toRecipients, ccRecipients, bccRecipient
       throw new Error("All recipient parameters must be arrays");
     }
 
+    const fields = getRecipientFields(item);
+    const labels = getFieldLabels(item);
+    if (!fields.bcc && bccRecipients.length > 0) {
+      throw new Error("Meetings have no BCC");
+    }
+
+    // Check the limit before writing, so no field is left half updated
+    const lists = {
+      to: toRecipients.map(formatRecipient),
+      cc: ccRecipients.map(formatRecipient),
+      bcc: bccRecipients.map(formatRecipient),
+    };
+    if (getFieldOverflow(lists, CONFIG.MAX_RECIPIENTS_PER_FIELD).exceeded) {
+      throw createRecipientLimitError(lists);
+    }
+
     // Update all fields in parallel for better performance
-    await Promise.all([
-      setRecipientsAsync(item.to, toRecipients, "TO"),
-      setRecipientsAsync(item.cc, ccRecipients, "CC"),
-      setRecipientsAsync(item.bcc, bccRecipients, "BCC"),
-    ]);
+    try {
+      await Promise.all([
+        setRecipientsAsync(fields.to, toRecipients, labels.to),
+        setRecipientsAsync(fields.cc, ccRecipients, labels.cc),
+        fields.bcc && setRecipientsAsync(fields.bcc, bccRecipients, labels.bcc),
+      ]);
+    } catch (error) {
+      // Outlook's own limit can be lower than the configured one
+      throw error.message === "RECIPIENT_LIMIT_EXCEEDED" ? createRecipientLimitError(lists) : error;
+    }
   } catch (error) {
     throw error;
   }
@@ -1299,6 +1465,7 @@ function getRecipientsAsync(field, fieldName) {
 
 /**
  * Get current recipients from all fields (To, CC, BCC)
+ * For a meeting, to and cc hold the required and optional attendees and bcc is empty
  * Uses Promise.all for better performance and error handling
  * @returns {Promise<Object>} Object containing to, cc, and bcc arrays
  */
@@ -1315,12 +1482,14 @@ async function getCurrentRecipients() {
     }
 
     const item = Office.context.mailbox.item;
+    const fields = getRecipientFields(item);
+    const labels = getFieldLabels(item);
 
     // Use Promise.all to get all recipients in parallel for better performance
     const [to, cc, bcc] = await Promise.all([
-      getRecipientsAsync(item.to, "TO"),
-      getRecipientsAsync(item.cc, "CC"),
-      getRecipientsAsync(item.bcc, "BCC"),
+      getRecipientsAsync(fields.to, labels.to),
+      getRecipientsAsync(fields.cc, labels.cc),
+      fields.bcc ? getRecipientsAsync(fields.bcc, labels.bcc) : [],
     ]);
 
     return { to, cc, bcc };
@@ -1331,7 +1500,7 @@ async function getCurrentRecipients() {
 
 async function updateRecipients(result) {
   try {
-    const item = Office.context.mailbox.item;
+    const fields = getRecipientFields(Office.context.mailbox.item);
 
     // Convert back to Office.js format with robust validation
     const convertToRecipients = (recipients) => {
@@ -1387,7 +1556,7 @@ async function updateRecipients(result) {
         const filteredCount = originalCount - convertedCount;
 
         // Update To recipients
-        item.to.setAsync(toRecipients, (toResult) => {
+        fields.to.setAsync(toRecipients, (toResult) => {
           if (toResult.status !== Office.AsyncResultStatus.Succeeded) {
             reject(
               new Error(
@@ -1398,7 +1567,7 @@ async function updateRecipients(result) {
           }
 
           // Update CC recipients
-          item.cc.setAsync(ccRecipients, (ccResult) => {
+          fields.cc.setAsync(ccRecipients, (ccResult) => {
             if (ccResult.status !== Office.AsyncResultStatus.Succeeded) {
               reject(
                 new Error(
@@ -1408,8 +1577,14 @@ async function updateRecipients(result) {
               return;
             }
 
+            // Meetings have no BCC
+            if (!fields.bcc) {
+              resolve();
+              return;
+            }
+
             // Update BCC recipients
-            item.bcc.setAsync(bccRecipients, (bccResult) => {
+            fields.bcc.setAsync(bccRecipients, (bccResult) => {
               if (bccResult.status !== Office.AsyncResultStatus.Succeeded) {
                 reject(
                   new Error(
@@ -1461,16 +1636,20 @@ async function callOrchestrator(recipients, enabledSteps, attempt = 1) {
     to: recipients.to,
     cc: recipients.cc,
     bcc: recipients.bcc,
-    userSettings: {
+    userSettings: getItemUserSettings(Office.context.mailbox.item, {
       enabledSteps: enabledSteps,
       internalDomains: getValidInternalDomains(),
+      internalSubdomains: ClearSend.settings.internalSubdomains !== false,
+      partnerDomains: ClearSend.settings.partnerDomains || [],
       orgDomain: ClearSend.settings.orgDomain || "",
-    },
+      stepSettings: ClearSend.settings.stepSettings || {},
+      knownDomains: getKnownDomains(ClearSend.settings, ClearSend.learnedDomains),
+    }),
   };
 
   try {
     // Process recipients client-side using the processors library
-    const result = window.ClearSendProcessors.processRecipients(payload);
+    const result = processRecipients(payload);
     return result;
   } catch (error) {
     throw new Error(`Processing failed: ${error.message}`);
@@ -1585,16 +1764,21 @@ async function loadUserSettings() {
 
     if (savedSettings && typeof savedSettings === "object") {
       // Merge saved settings with defaults
-      ClearSend.settings = {
-        ...ClearSend.settings,
-        ...savedSettings,
-      };
-
-      // Update UI to reflect loaded settings
-      updateSettingsUI();
+      ClearSend.settings = syncRegisteredSteps(
+        { ...ClearSend.settings, ...savedSettings },
+        getRegisteredSteps()
+      );
     } else {
       // Save default settings
+      ClearSend.settings = syncRegisteredSteps(ClearSend.settings, getRegisteredSteps());
       saveSettings();
+
+      // First run: propose the mailbox's domain, accepted from the Configuration tab,
+      // unless the default settings already name an internal domain
+      const profileDomain = getProfileDomain();
+      if (profileDomain && filterInternalDomains(ClearSend.settings.internalDomains).length === 0) {
+        showToast(`Use ${profileDomain} as your organization domain? See Configuration`, "info");
+      }
     }
 
     // Load saved invalid addresses if they exist
@@ -1605,30 +1789,405 @@ async function loadUserSettings() {
       ClearSend.savedInvalidAddresses = [];
     }
 
-    // Always render internal domains (either from loaded settings or defaults)
+    ClearSend.learnedDomains = loadLearnedDomains();
+
+    // Always render features and internal domains (either from loaded settings or defaults)
+    renderFeatureGrid();
     renderInternalDomains();
+    updateConfigurationOptionsUI();
   } catch (error) {
     // Reset to defaults on any error
     ClearSend.savedInvalidAddresses = [];
-    ClearSend.settings = {
-      enabledSteps: ["sort", "dedupe", "validate", "prioritizeInternal"],
-      stepOrder: [
-        "sort",
-        "dedupe",
-        "validate",
-        "prioritizeInternal",
-        "removeExternal",
-        "keepInvalid",
-      ],
-      orgDomain: "",
-      internalDomains: ["mydomain.com"],
-      keepInvalid: false,
-    };
+    ClearSend.settings = syncRegisteredSteps(getDefaultSettings(), getRegisteredSteps());
+    renderFeatureGrid();
     renderInternalDomains();
+    updateConfigurationOptionsUI();
     saveSettings();
   }
 }
 
+/**
+ * Reflect the preview, auto-clean and send check options in the Configuration tab
+ */
+function updateConfigurationOptionsUI() {
+  const previewChangesCheck = document.getElementById("previewChangesCheck");
+  if (previewChangesCheck) {
+    previewChangesCheck.checked = ClearSend.settings.previewChanges === true;
+  }
+
+  const autoCleanCheck = document.getElementById("autoCleanCheck");
+  if (autoCleanCheck) {
+    autoCleanCheck.checked = ClearSend.settings.autoClean === true;
+  }
+
+  const rules = getSendCheckRules(ClearSend.settings);
+  document.querySelectorAll(".send-check-rule").forEach((select) => {
+    select.value = rules[select.getAttribute("data-rule")];
+  });
+  const thresholds = getMassMailThresholds(ClearSend.settings);
+  document.querySelectorAll(".mass-mail-threshold").forEach((input) => {
+    input.value = thresholds[input.getAttribute("data-threshold")];
+  });
+
+  const knownDomainsInput = document.getElementById("knownDomainsInput");
+  if (knownDomainsInput) {
+    knownDomainsInput.value = (ClearSend.settings.knownDomains || []).join("\n");
+  }
+  const partnerDomainsInput = document.getElementById("partnerDomainsInput");
+  if (partnerDomainsInput) {
+    partnerDomainsInput.value = (ClearSend.settings.partnerDomains || []).join("\n");
+  }
+  updateLearnedDomainsUI();
+  renderCanonicalRules();
+  renderIdentities();
+}
+
+// Duplicate matching rules
+// Kept in the dedupe step's settings, so every caller of the pipeline gets them
+function getCanonicalRules() {
+  return ClearSend.settings.stepSettings?.dedupe?.rules || [];
+}
+
+function getIdentities() {
+  return ClearSend.settings.stepSettings?.dedupe?.identities || [];
+}
+
+function saveDedupeSetting(key, value) {
+  const stepSettings = ClearSend.settings.stepSettings || {};
+  ClearSend.settings.stepSettings = {
+    ...stepSettings,
+    dedupe: { ...(stepSettings.dedupe || {}), [key]: value },
+  };
+  saveSettings();
+  updateRecipientDisplay();
+}
+
+function saveCanonicalRules(rules) {
+  saveDedupeSetting("rules", rules);
+}
+
+/**
+ * Render the user's duplicate matching rules in the Configuration tab
+ */
+function renderCanonicalRules() {
+  const list = document.getElementById("canonicalRulesList");
+  if (!list) return;
+
+  const separatorLabels = { "": "No tags", "+": "Strip +tag", "-": "Strip -tag" };
+
+  list.innerHTML = getCanonicalRules()
+    .map((rule, index) => {
+      const separators = SUBADDRESS_SEPARATORS.map(
+        (separator) =>
+          `<option value="${escapeHtml(separator)}"${rule.separator === separator ? " selected" : ""}>${separatorLabels[separator]}</option>`
+      ).join("");
+
+      return `
+            <div class="canonical-rule" data-index="${index}">
+                <div class="canonical-rule-row">
+                    <input type="text" class="canonical-rule-input" data-field="domains" value="${escapeHtml((rule.domains || []).join(", "))}" placeholder="contoso.com, contoso.net" title="Domains the rule applies to" />
+                    <button class="domain-btn canonical-rule-remove" title="Remove rule">
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" width="14" height="14" fill="currentColor"><path d="M432 256c0 17.7-14.3 32-32 32L48 288c-17.7 0-32-14.3-32-32s14.3-32 32-32l352 0c17.7 0 32 14.3 32 32z"/></svg>
+                    </button>
+                </div>
+                <div class="canonical-rule-row">
+                    <select class="config-item-select" data-field="separator" title="Subaddress separator">${separators}</select>
+                    <label class="canonical-rule-option"><input type="checkbox" data-field="ignoreDots"${rule.ignoreDots ? " checked" : ""} />Ignore dots</label>
+                    <label class="canonical-rule-option"><input type="checkbox" data-field="caseSensitive"${rule.caseSensitive ? " checked" : ""} />Match case</label>
+                </div>
+                <div class="canonical-rule-row">
+                    <input type="text" class="canonical-rule-input" data-field="canonicalDomain" value="${escapeHtml(rule.canonicalDomain || "")}" placeholder="Fold into domain (optional)" title="Treat all the rule's domains as this one" />
+                </div>
+            </div>`;
+    })
+    .join("");
+
+  list.querySelectorAll("[data-field]").forEach((input) => {
+    input.addEventListener("change", handleCanonicalRuleChange);
+  });
+  list.querySelectorAll(".canonical-rule-remove").forEach((button) => {
+    button.addEventListener("click", handleRemoveCanonicalRule);
+  });
+}
+
+function handleCanonicalRuleChange(event) {
+  const input = event.target;
+  const index = Number(input.closest(".canonical-rule").getAttribute("data-index"));
+  const field = input.getAttribute("data-field");
+
+  let value = input.value.trim().toLowerCase();
+  if (input.type === "checkbox") {
+    value = input.checked;
+  } else if (field === "domains") {
+    value = normalizeDomainList(input.value.split(/[\s,;]+/));
+  }
+
+  const rules = getCanonicalRules().map((rule, i) =>
+    i === index ? { ...rule, [field]: value } : rule
+  );
+  saveCanonicalRules(rules);
+}
+
+function handleAddCanonicalRule() {
+  saveCanonicalRules([
+    ...getCanonicalRules(),
+    { domains: [], separator: "+", ignoreDots: false, caseSensitive: false, canonicalDomain: "" },
+  ]);
+  renderCanonicalRules();
+}
+
+function handleRemoveCanonicalRule(event) {
+  const index = Number(event.currentTarget.closest(".canonical-rule").getAttribute("data-index"));
+  saveCanonicalRules(getCanonicalRules().filter((rule, i) => i !== index));
+  renderCanonicalRules();
+}
+
+// People with several addresses
+// Also kept in the dedupe step's settings; the first address of an identity is the one kept
+/**
+ * Render the alias table in the Configuration tab
+ */
+function renderIdentities() {
+  const list = document.getElementById("identitiesList");
+  if (!list) return;
+
+  list.innerHTML = getIdentities()
+    .map(
+      (identity, index) => `
+            <div class="identity-item" data-index="${index}">
+                <div class="canonical-rule-row">
+                    <input type="text" class="identity-input" data-field="preferred" value="${escapeHtml(identity.preferred || "")}" placeholder="Preferred address" title="Address kept when several of this person's addresses are on the message" />
+                    <button class="domain-btn identity-remove" title="Remove person">
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" width="14" height="14" fill="currentColor"><path d="M432 256c0 17.7-14.3 32-32 32L48 288c-17.7 0-32-14.3-32-32s14.3-32 32-32l352 0c17.7 0 32 14.3 32 32z"/></svg>
+                    </button>
+                </div>
+                <div class="canonical-rule-row">
+                    <input type="text" class="identity-input" data-field="aliases" value="${escapeHtml((identity.aliases || []).join(", "))}" placeholder="Other addresses, comma separated" title="Other addresses of this person" />
+                </div>
+            </div>`
+    )
+    .join("");
+
+  list.querySelectorAll(".identity-input").forEach((input) => {
+    input.addEventListener("change", handleIdentityChange);
+  });
+  list.querySelectorAll(".identity-remove").forEach((button) => {
+    button.addEventListener("click", handleRemoveIdentity);
+  });
+}
+
+function handleIdentityChange(event) {
+  const input = event.target;
+  const index = Number(input.closest(".identity-item").getAttribute("data-index"));
+  const field = input.getAttribute("data-field");
+
+  const value =
+    field === "aliases"
+      ? input.value
+          .split(/[\s,;]+/)
+          .map((alias) => alias.trim().toLowerCase())
+          .filter(Boolean)
+      : input.value.trim().toLowerCase();
+
+  saveDedupeSetting(
+    "identities",
+    getIdentities().map((identity, i) => (i === index ? { ...identity, [field]: value } : identity))
+  );
+}
+
+function handleAddIdentity() {
+  saveDedupeSetting("identities", [...getIdentities(), { preferred: "", aliases: [] }]);
+  renderIdentities();
+}
+
+function handleRemoveIdentity(event) {
+  const index = Number(event.currentTarget.closest(".identity-item").getAttribute("data-index"));
+  saveDedupeSetting(
+    "identities",
+    getIdentities().filter((identity, i) => i !== index)
+  );
+  renderIdentities();
+}
+
+function handleImportIdentities(event) {
+  const input = event.target;
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    const imported = parseIdentitiesCsv(reader.result);
+    if (imported.length === 0) {
+      showToast("No people found in the file", "warning");
+    } else {
+      saveDedupeSetting("identities", mergeIdentities(getIdentities(), imported));
+      renderIdentities();
+      showToast(
+        `Imported ${imported.length} ${imported.length === 1 ? "person" : "people"}`,
+        "success"
+      );
+    }
+    input.value = "";
+  };
+  reader.onerror = () => {
+    showToast("Failed to read the file", "error");
+    input.value = "";
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * "Same person" in the Destination fields list
+ * The first click enters selection mode; with two or more addresses picked the next
+ * click links them, the first picked being the preferred address, otherwise it cancels
+ */
+function handleSamePerson() {
+  const selection = ClearSend.identitySelection;
+
+  if (selection && selection.length >= 2) {
+    saveDedupeSetting("identities", linkAddresses(getIdentities(), selection));
+    renderIdentities();
+    showToast(`Linked ${selection.length} addresses, keeping ${selection[0]}`, "success");
+  }
+
+  ClearSend.identitySelection = selection ? null : [];
+  updateSamePersonButton();
+  updateRecipientDisplay();
+}
+
+function handleIdentitySelect(event) {
+  const email = decodeURIComponent(event.target.getAttribute("data-email"));
+  const selection = (ClearSend.identitySelection || []).filter((address) => address !== email);
+
+  ClearSend.identitySelection = event.target.checked ? [...selection, email] : selection;
+  updateSamePersonButton();
+}
+
+function updateSamePersonButton() {
+  const button = document.getElementById("samePersonBtn");
+  if (!button) return;
+
+  const selection = ClearSend.identitySelection;
+  if (!selection) {
+    button.textContent = "Same person";
+    button.title = "Pick addresses that belong to one person";
+  } else if (selection.length >= 2) {
+    button.textContent = `Link (${selection.length})`;
+    button.title = `Treat these addresses as one person, keeping ${selection[0]}`;
+  } else {
+    button.textContent = "Cancel";
+    button.title = "Pick two or more addresses, the preferred one first";
+  }
+}
+
+function updateLearnedDomainsUI() {
+  const learnDomainsCheck = document.getElementById("learnDomainsCheck");
+  if (learnDomainsCheck) {
+    learnDomainsCheck.checked = ClearSend.settings.learnDomains !== false;
+  }
+
+  const learnedCount = document.getElementById("learnedDomainsCount");
+  if (learnedCount) {
+    learnedCount.textContent = ClearSend.learnedDomains.length;
+  }
+
+  const clearButton = document.getElementById("clearLearnedDomainsBtn");
+  if (clearButton) {
+    clearButton.disabled = ClearSend.learnedDomains.length === 0;
+  }
+}
+
+/**
+ * Save the known domains entered in the Configuration tab (one per line, or comma separated)
+ */
+function handleKnownDomainsChange(event) {
+  ClearSend.settings.knownDomains = normalizeDomainList(event.target.value.split(/[\s,;]+/));
+  event.target.value = ClearSend.settings.knownDomains.join("\n");
+  saveSettings();
+  updateRecipientDisplay();
+}
+
+/**
+ * Save the trusted partner domain rules entered in the Configuration tab
+ * Entries that are not valid rules are dropped and reported
+ */
+function handlePartnerDomainsChange(event) {
+  const { rules, invalid } = splitDomainRules(event.target.value);
+  ClearSend.settings.partnerDomains = rules;
+  event.target.value = rules.join("\n");
+  if (invalid.length > 0) {
+    showToast(
+      `Not understood: ${invalid.slice(0, 3).join(", ")}${invalid.length > 3 ? "..." : ""}`,
+      "warning"
+    );
+  }
+  saveSettings();
+  updateRecipientDisplay();
+}
+
+/**
+ * Forget the domains learned from sent messages
+ */
+function handleClearLearnedDomains() {
+  ClearSend.learnedDomains = [];
+  Office.context.roamingSettings.remove("learnedDomains");
+  Office.context.roamingSettings.saveAsync((result) => {
+    if (result.status === Office.AsyncResultStatus.Succeeded) {
+      showToast("Learned domains cleared", "success");
+    } else {
+      showToast("Failed to clear learned domains", "error");
+    }
+  });
+  updateLearnedDomainsUI();
+  updateRecipientDisplay();
+}
+
+/**
+ * Turn learning domains from sent messages on or off
+ * Domains already learned are kept until cleared
+ */
+function handleLearnDomainsSettingChange(event) {
+  ClearSend.settings.learnDomains = event.target.checked;
+  saveSettings();
+}
+
+function handleAutoCleanSettingChange(event) {
+  ClearSend.settings.autoClean = event.target.checked;
+  saveSettings();
+}
+
+function handleSendCheckRuleChange(event) {
+  ClearSend.settings.sendCheck = {
+    ...getSendCheckRules(ClearSend.settings),
+    [event.target.getAttribute("data-rule")]: event.target.value,
+  };
+  saveSettings();
+  updateRecipientDisplay();
+}
+
+/**
+ * Save a mass-mail threshold of the Configuration tab
+ */
+function handleMassMailThresholdChange(event) {
+  const key = event.target.getAttribute("data-threshold");
+  const current = getMassMailThresholds(ClearSend.settings);
+  // An emptied field keeps the current limit rather than turning it off
+  const value = event.target.value.trim() === "" ? current[key] : event.target.value;
+
+  ClearSend.settings.massMail = getMassMailThresholds({ massMail: { ...current, [key]: value } });
+  event.target.value = ClearSend.settings.massMail[key];
+  saveSettings();
+  updateRecipientDisplay();
+}
+
+function handlePreviewSettingChange(event) {
+  ClearSend.settings.previewChanges = event.target.checked;
+  if (!event.target.checked) {
+    hideChangePreview();
+  }
+  saveSettings();
+}
+
 function updateSettings() {
   const enabledSteps = [];
 
@@ -1640,63 +2199,165 @@ function updateSettings() {
     const step = item.getAttribute("data-step");
     if (step) {
       stepOrder.push(step);
-      const checkbox = item.querySelector('input[type="checkbox"]');
+      const checkbox = item.querySelector(".feature-toggle");
       if (checkbox && checkbox.checked) {
         enabledSteps.push(step);
       }
     }
   });
 
+  // Hidden steps are not in the grid; keep their saved position and state
+  const hiddenSteps = getRegisteredSteps().filter((step) => step.hidden);
+  hiddenSteps.forEach((step) => {
+    stepOrder.push(step.name);
+    if (ClearSend.settings.enabledSteps.includes(step.name)) {
+      enabledSteps.push(step.name);
+    }
+  });
+
   ClearSend.settings.enabledSteps = enabledSteps;
   ClearSend.settings.stepOrder = stepOrder;
-  ClearSend.settings.keepInvalid = document.getElementById("keepInvalidCheck").checked;
+  ClearSend.settings.keepInvalid = enabledSteps.includes("keepInvalid");
 
   // Save all settings to roaming storage
   saveSettings();
-}
 
-function updateSettingsUI() {
-  // Restore checkbox states
-  document.getElementById("sortCheck").checked = ClearSend.settings.enabledSteps.includes("sort");
-  document.getElementById("dedupeCheck").checked =
-    ClearSend.settings.enabledSteps.includes("dedupe");
-  document.getElementById("validateCheck").checked =
-    ClearSend.settings.enabledSteps.includes("validate");
-  document.getElementById("prioritizeInternalCheck").checked =
-    ClearSend.settings.enabledSteps.includes("prioritizeInternal");
-  document.getElementById("removeExternalCheck").checked =
-    ClearSend.settings.enabledSteps.includes("removeExternal");
-  document.getElementById("keepInvalidCheck").checked = ClearSend.settings.keepInvalid || false;
+  // The possible duplicates report in the Recipient Analysis card follows its step
+  updateRecipientDisplay();
+}
 
-  // Restore the order of feature items if saved
-  if (ClearSend.settings.stepOrder && ClearSend.settings.stepOrder.length > 0) {
-    restoreFeatureOrder();
-  }
+/**
+ * Add a step registered after initialization to the settings and the Configuration tab
+ */
+function handleStepRegistered() {
+  ClearSend.settings = syncRegisteredSteps(ClearSend.settings, getRegisteredSteps());
+  saveSettings();
+  renderFeatureGrid();
+  updateProcessingOptionsSummary();
+  updateDomainDependentFeatures();
 }
 
-function restoreFeatureOrder() {
+/**
+ * Render the Configuration tab feature grid from the registered processing steps
+ * Items follow the saved step order and reflect the saved enabled state and step settings
+ */
+function renderFeatureGrid() {
   const featureGrid = document.getElementById("featureGrid");
   if (!featureGrid) return;
 
-  const stepOrder = ClearSend.settings.stepOrder;
-  const featureItems = Array.from(featureGrid.querySelectorAll(".feature-item"));
+  const stepOrder = ClearSend.settings.stepOrder || [];
+  const position = (step) => {
+    const index = stepOrder.indexOf(step.name);
+    return index === -1 ? stepOrder.length : index;
+  };
 
-  // Create a map of step -> element
-  const itemMap = new Map();
-  featureItems.forEach((item) => {
-    const step = item.getAttribute("data-step");
-    if (step) {
-      itemMap.set(step, item);
-    }
+  const steps = getRegisteredSteps()
+    .filter((step) => !step.hidden)
+    .sort((a, b) => position(a) - position(b));
+
+  featureGrid.innerHTML = steps.map(renderFeatureItem).join("");
+
+  featureGrid.querySelectorAll(".feature-toggle").forEach((checkbox) => {
+    checkbox.addEventListener("change", updateSettings);
+  });
+  featureGrid.querySelectorAll(".feature-setting-input").forEach((input) => {
+    input.addEventListener("change", handleStepSettingChange);
   });
 
-  // Reorder based on saved order
-  stepOrder.forEach((step) => {
-    const item = itemMap.get(step);
-    if (item) {
-      featureGrid.appendChild(item);
+  // Initialize drag-and-drop for the new feature items
+  initializeDragAndDrop();
+
+  // Re-apply the disabled state of domain-dependent features
+  updateDomainDependentFeatures();
+}
+
+/**
+ * Build the HTML for one feature item
+ * @param {Object} step - Registered step metadata
+ * @returns {string} Feature item HTML
+ */
+function renderFeatureItem(step) {
+  const checked = ClearSend.settings.enabledSteps.includes(step.name) ? " checked" : "";
+  const settingsHTML = Object.keys(step.settings)
+    .map((key) => renderStepSettingInput(step.name, key, step.settings[key]))
+    .join("");
+
+  return `
+            <div class="feature-item" data-step="${escapeHtml(step.name)}">
+                <input type="checkbox" class="feature-toggle" id="${escapeHtml(step.name)}Check"${checked} />
+                <div class="feature-text">
+                    <span class="feature-name">${escapeHtml(step.label)}</span>
+                    <span class="feature-desc">${escapeHtml(step.description)}</span>
+                    ${settingsHTML ? `<div class="feature-settings">${settingsHTML}</div>` : ""}
+                </div>
+                <button class="drag-handle" type="button" title="Drag to reorder">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" width="14" height="14" fill="currentColor"><path d="M0 96C0 78.3 14.3 64 32 64l384 0c17.7 0 32 14.3 32 32s-14.3 32-32 32L32 128C14.3 128 0 113.7 0 96zM0 256c0-17.7 14.3-32 32-32l384 0c17.7 0 32 14.3 32 32s-14.3 32-32 32L32 288c-17.7 0-32-14.3-32-32zM448 416c0 17.7-14.3 32-32 32L32 448c-17.7 0-32-14.3-32-32s14.3-32 32-32l384 0c17.7 0 32 14.3 32 32z"/></svg>
+                </button>
+            </div>
+        `;
+}
+
+/**
+ * Build the input for one entry of a step's settings schema
+ * @param {string} stepName - Name of the step
+ * @param {string} key - Setting key
+ * @param {Object} schema - Setting schema ({ type, label, default, options })
+ * @returns {string} Setting input HTML
+ */
+function renderStepSettingInput(stepName, key, schema) {
+  const saved = ClearSend.settings.stepSettings?.[stepName]?.[key];
+  const value = saved !== undefined ? saved : schema.default;
+  const dataAttributes = `class="feature-setting-input" data-step="${escapeHtml(stepName)}" data-setting="${escapeHtml(key)}" data-type="${escapeHtml(schema.type)}"`;
+  const label = escapeHtml(schema.label || key);
+
+  switch (schema.type) {
+    case "boolean":
+      return `<label class="feature-setting"><input type="checkbox" ${dataAttributes}${value ? " checked" : ""} /><span>${label}</span></label>`;
+    case "select": {
+      const options = (schema.options || [])
+        .map(
+          (option) =>
+            `<option value="${escapeHtml(String(option.value))}"${option.value === value ? " selected" : ""}>${escapeHtml(option.label)}</option>`
+        )
+        .join("");
+      return `<label class="feature-setting"><span>${label}</span><select ${dataAttributes}>${options}</select></label>`;
     }
-  });
+    case "number":
+      return `<label class="feature-setting"><span>${label}</span><input type="number" ${dataAttributes} value="${escapeHtml(String(value ?? ""))}" /></label>`;
+    default:
+      return `<label class="feature-setting"><span>${label}</span><input type="text" ${dataAttributes} value="${escapeHtml(String(value ?? ""))}" /></label>`;
+  }
+}
+
+/**
+ * Handle a change to a step setting input
+ * @param {Event} event - Change event from a feature setting input
+ */
+function handleStepSettingChange(event) {
+  const input = event.target;
+  const stepName = input.getAttribute("data-step");
+  const key = input.getAttribute("data-setting");
+  const type = input.getAttribute("data-type");
+
+  let value = input.value;
+  if (type === "boolean") {
+    value = input.checked;
+  } else if (type === "number") {
+    value = input.value === "" ? null : Number(input.value);
+  }
+
+  const stepSettings = ClearSend.settings.stepSettings || {};
+  ClearSend.settings.stepSettings = {
+    ...stepSettings,
+    [stepName]: { ...(stepSettings[stepName] || {}), [key]: value },
+  };
+
+  saveSettings();
+
+  // Recipient status dots follow the validate and dedupe steps' matching rules
+  if (stepName === "validate" || stepName === "dedupe") {
+    updateRecipientDisplay();
+  }
 }
 
 // Drag and Drop functionality
@@ -1708,7 +2369,13 @@ function initializeDragAndDrop() {
   let draggedItem = null;
 
   featureItems.forEach((item) => {
-    const checkbox = item.querySelector('input[type="checkbox"]');
+    const checkbox = item.querySelector(".feature-toggle");
+
+    // Setting inputs must stay editable, so suspend dragging while one has focus
+    item.querySelectorAll(".feature-setting-input").forEach((input) => {
+      input.addEventListener("focus", () => item.setAttribute("draggable", "false"));
+      input.addEventListener("blur", () => item.setAttribute("draggable", "true"));
+    });
 
     // Prevent checkbox from initiating drag
     checkbox.addEventListener("mousedown", (e) => {
@@ -1876,17 +2543,25 @@ function collapseSection(sectionName) {
 
 // Utility Functions
 function getEnabledSteps() {
-  // Use stepOrder if available, otherwise fall back to enabledSteps
-  const orderedSteps = ClearSend.settings.stepOrder || ClearSend.settings.enabledSteps;
-
-  // Filter to only include steps that are enabled (checked)
-  const result = orderedSteps.filter((step) => {
-    const checkboxId = step + "Check";
-    const checkbox = document.getElementById(checkboxId);
-    return checkbox && checkbox.checked;
+  // Enabled steps in the persisted drag-and-drop order (same order Quick Clean uses)
+  return getOrderedEnabledSteps(ClearSend.settings);
+}
+
+/**
+ * Name the recipient fields after the item: required and optional attendees for
+ * a meeting, which has no BCC row
+ */
+function applyFieldLabels() {
+  const item = Office.context.mailbox.item;
+  const labels = getFieldLabels(item);
+
+  ["to", "cc", "bcc"].forEach((field) => {
+    const label = document.getElementById(`${field}FieldLabel`);
+    if (label) label.textContent = labels[field];
   });
 
-  return result;
+  const bccRow = document.getElementById("bccFieldRow");
+  if (bccRow) bccRow.style.display = isAppointment(item) ? "none" : "";
 }
 
 /**
@@ -1915,10 +2590,11 @@ async function updateRecipientDisplay() {
     let externalCount = 0;
     let invalidCount = 0;
 
-    // Count unique addresses that have duplicates
+    // Count unique addresses that have duplicates, matched like the dedupe step does
+    const getKey = getDedupeKey({ stepSettings: ClearSend.settings.stepSettings });
     const emailCounts = {};
     allRecipients.forEach((address) => {
-      const normalizedEmail = address.toLowerCase().trim();
+      const normalizedEmail = getKey(address);
       emailCounts[normalizedEmail] = (emailCounts[normalizedEmail] || 0) + 1;
     });
     duplicatedCount = Object.values(emailCounts).filter((count) => count > 1).length;
@@ -1927,9 +2603,13 @@ async function updateRecipientDisplay() {
     const uniqueExternal = new Set();
     const uniqueInvalid = new Set();
     const invalidAddressesList = [];
+    let fixCount = 0;
     allRecipients.forEach((address) => {
       const normalizedEmail = address.toLowerCase().trim();
       const status = getEmailStatus(address);
+      if (status.suggestions.length > 0) {
+        fixCount++;
+      }
       if (status.status === "invalid") {
         uniqueInvalid.add(normalizedEmail);
         // Only add unique invalids to the list
@@ -1946,6 +2626,11 @@ async function updateRecipientDisplay() {
     // Update invalid addresses array for the Invalid destinations section
     ClearSend.invalidAddresses = invalidAddressesList;
 
+    renderMassMailBanner(recipients);
+    renderRecipientLimits(ClearSend.overLimitRecipients || recipients);
+    renderPossibleDuplicates(recipients, getKey);
+    await renderExternalExposure(recipients);
+
     // Update total destinations
     document.getElementById("totalDestinations").textContent = totalRecipients;
 
@@ -1999,6 +2684,16 @@ async function updateRecipientDisplay() {
     document.getElementById("toggleCcBtn").disabled = recipients.cc.length === 0;
     document.getElementById("toggleBccBtn").disabled = recipients.bcc.length === 0;
 
+    // Enable/disable fix all button
+    const fixAllBtn = document.getElementById("fixAllBtn");
+    if (fixAllBtn) {
+      fixAllBtn.disabled = fixCount === 0;
+      fixAllBtn.title =
+        fixCount > 0
+          ? `Accept the suggested fix for ${fixCount} ${fixCount === 1 ? "recipient" : "recipients"}`
+          : "No suggested fixes";
+    }
+
     // Enable/disable download button
     const downloadBtn = document.getElementById("downloadBtn");
     if (downloadBtn) {
@@ -2067,6 +2762,12 @@ async function updateRecipientDisplay() {
     document.querySelectorAll(".recipient-delete").forEach((button) => {
       button.addEventListener("click", handleRemoveRecipient);
     });
+    document.querySelectorAll(".recipient-fix").forEach((button) => {
+      button.addEventListener("click", handleAcceptFix);
+    });
+    document.querySelectorAll(".recipient-select").forEach((checkbox) => {
+      checkbox.addEventListener("change", handleIdentitySelect);
+    });
   } catch (error) {
     showToast("Failed to update display", "error");
   } finally {
@@ -2075,53 +2776,391 @@ async function updateRecipientDisplay() {
   }
 }
 
-function updateStatusIndicator(count) {
-  const indicator = document.getElementById("statusText");
-  if (count === 0) {
-    indicator.textContent = "No recipients";
-  } else {
-    indicator.textContent = `${count} recipient${count !== 1 ? "s" : ""}`;
-  }
+/**
+ * Warn with a banner when too many external recipients can see each other in To/CC
+ * Uses the mass-mail thresholds, whatever the send check rule; hidden for meetings,
+ * whose attendees cannot be moved to BCC
+ * @param {Object} recipients - { to, cc, bcc }
+ */
+function renderMassMailBanner(recipients) {
+  const banner = document.getElementById("massMailBanner");
+  if (!banner) return;
+
+  const finding = !isAppointment(Office.context.mailbox.item)
+    ? checkMassMail({
+        to: recipients.to,
+        cc: recipients.cc,
+        userSettings: {
+          internalDomains: getValidInternalDomains(),
+          internalSubdomains: ClearSend.settings.internalSubdomains !== false,
+          partnerDomains: ClearSend.settings.partnerDomains || [],
+          orgDomain: ClearSend.settings.orgDomain || "",
+          stepSettings: ClearSend.settings.stepSettings || {},
+          massMail: getMassMailThresholds(ClearSend.settings),
+        },
+      })
+    : null;
+
+  banner.style.display = finding?.exceeded ? "" : "none";
+  if (!finding?.exceeded) return;
+
+  document.getElementById("massMailBannerText").textContent =
+    `${finding.recipients.length} external recipients from ${finding.domains.length} domains can see each other in To/CC`;
 }
 
-function updateStatusIndicatorWithValidation(total, valid, warnings) {
-  const statusIcon = document.querySelector(".status-icon");
-  const statusText = document.getElementById("statusText");
-
-  if (total === 0) {
-    statusIcon.textContent = "🟢";
-    statusText.textContent = "No recipients";
-  } else if (warnings > 0) {
-    statusIcon.textContent = "⚠️";
-    statusText.textContent = `${warnings} warning${warnings !== 1 ? "s" : ""}`;
-  } else {
-    statusIcon.textContent = "🟢";
-    statusText.textContent = `${total} recipient${total !== 1 ? "s" : ""}`;
-  }
+/**
+ * Show the batch plan for lists that could not be written for going over the limit
+ * @param {Object} lists - { to, cc, bcc } address strings
+ */
+function showRecipientLimits(lists) {
+  ClearSend.overLimitRecipients = lists;
+  renderRecipientLimits(lists);
+  showToast("Too many recipients in a field, see the plan to split the message", "error");
 }
 
-async function displayValidationResults(validateAction) {
-  const list = document.getElementById("recipientList");
-  list.innerHTML = "";
-
-  if (validateAction.validationResults && validateAction.validationResults.length > 0) {
-    validateAction.validationResults.forEach((result) => {
-      const item = createRecipientItem(result);
-      list.appendChild(item);
-    });
-  }
-
-  // Update status indicator with validation results
-  const errorCount = validateAction.errorCount || 0;
-  const warningCount = validateAction.warningCount || 0;
-  const validCount = validateAction.validCount || 0;
+/**
+ * Show how far each field is over the per-field limit, with the plan splitting
+ * the recipients into several messages; hidden while every field fits
+ * @param {Object} lists - { to, cc, bcc } address strings
+ */
+function renderRecipientLimits(lists) {
+  const section = document.getElementById("recipientLimits");
+  if (!section) return;
+
+  const limit = CONFIG.MAX_RECIPIENTS_PER_FIELD;
+  const overflow = getFieldOverflow(lists, limit);
+  ClearSend.batchPlanRecipients = overflow.exceeded ? lists : null;
+  section.style.display = overflow.exceeded ? "" : "none";
+  if (!overflow.exceeded) return;
+
+  const fieldLabels = getFieldLabels(Office.context.mailbox.item);
+  document.getElementById("recipientLimitsText").textContent =
+    `More than ${limit} recipients in a field: ` +
+    overflow.fields
+      .filter((entry) => entry.over > 0)
+      .map((entry) => `${fieldLabels[entry.field]} has ${entry.count} (${entry.over} over)`)
+      .join(", ");
+
+  // Batches are sized for the drafts they can be opened as
+  const batches = planBatches(lists, CONFIG.MAX_DRAFT_RECIPIENTS_PER_FIELD);
+  document.getElementById("batchPlanCount").textContent = batches.length;
+  document.getElementById("batchPlanLimit").textContent = CONFIG.MAX_DRAFT_RECIPIENTS_PER_FIELD;
+  document.getElementById("batchPlanList").innerHTML = batches
+    .map(
+      (batch, index) =>
+        `<li>Message ${index + 1}: ${Object.keys(fieldLabels)
+          .filter((field) => batch[field].length > 0)
+          .map((field) => `${fieldLabels[field]} ${batch[field].length}`)
+          .join(", ")}</li>`
+    )
+    .join("");
+}
 
-  updateValidationStatus(validCount, warningCount, errorCount);
+function getBatchPlan() {
+  return planBatches(ClearSend.batchPlanRecipients, CONFIG.MAX_DRAFT_RECIPIENTS_PER_FIELD);
 }
 
-function updateValidationStatus(validCount, warningCount, errorCount) {
-  const statusIcon = document.querySelector(".status-icon");
-  const statusText = document.getElementById("statusText");
+/**
+ * Download the batch plan as CSV
+ */
+function handleExportBatches() {
+  try {
+    const blob = new Blob([buildBatchesCsv(getBatchPlan())], { type: "text/csv;charset=utf-8;" });
+    const link = document.createElement("a");
+    const url = URL.createObjectURL(blob);
+
+    link.setAttribute("href", url);
+    link.setAttribute("download", "recipient_batches.csv");
+    link.style.visibility = "hidden";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    showToast("Batch plan downloaded", "success");
+  } catch {
+    showToast("Failed to download the batch plan", "error");
+  }
+}
+
+// Outlook limits the body of a new message form to 32 KB
+const NEW_MESSAGE_MAX_BODY = 32 * 1024;
+
+function getItemValueAsync(property, ...options) {
+  return new Promise((resolve, reject) => {
+    property.getAsync(...options, (result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve(result.value);
+      } else {
+        reject(new Error(result.error?.message || "Unknown error"));
+      }
+    });
+  });
+}
+
+/**
+ * Open a new message form
+ * From Mailbox 1.9 Outlook reports whether the form opened; before, the form
+ * only fails by throwing when its parameters are refused
+ * @param {Object} parameters - displayNewMessageForm parameters
+ * @returns {Promise} Resolves once the form is open
+ */
+function openNewMessageForm(parameters) {
+  const mailbox = Office.context.mailbox;
+  if (!Office.context.requirements.isSetSupported("Mailbox", "1.9")) {
+    mailbox.displayNewMessageForm(parameters);
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mailbox.displayNewMessageFormAsync(parameters, (result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve();
+      } else {
+        reject(new Error(result.error?.message || "Unknown error"));
+      }
+    });
+  });
+}
+
+/**
+ * Open one new draft per batch, with the subject and body of this message
+ * Drafts are opened in order and the first failure stops the rest, so the
+ * message numbers of the plan tell which ones are left to open.
+ * Attachments are not copied; a body over the form's limit is left for the user to paste
+ */
+async function handleOpenBatchDrafts() {
+  try {
+    const item = Office.context.mailbox.item;
+    const [subject, body] = await Promise.all([
+      getItemValueAsync(item.subject),
+      getItemValueAsync(item.body, Office.CoercionType.Html),
+    ]);
+    const bodyFits = body.length <= NEW_MESSAGE_MAX_BODY;
+
+    const batches = getBatchPlan();
+    let opened = 0;
+    try {
+      for (const batch of batches) {
+        await openNewMessageForm({
+          toRecipients: convertToOfficeFormat(batch.to),
+          ccRecipients: convertToOfficeFormat(batch.cc),
+          bccRecipients: convertToOfficeFormat(batch.bcc),
+          subject,
+          htmlBody: bodyFits ? body : "",
+        });
+        opened++;
+      }
+    } catch (error) {
+      if (opened === 0) {
+        throw error;
+      }
+      showToast(
+        `Opened drafts 1 to ${opened} of ${batches.length}; message ${opened + 1} failed: ${error.message}`,
+        "warning"
+      );
+      return;
+    }
+
+    showToast(
+      bodyFits
+        ? `${batches.length} drafts opened`
+        : `${batches.length} drafts opened without the body, which is too long to copy`,
+      bodyFits ? "success" : "warning"
+    );
+  } catch (error) {
+    showToast("Failed to open the drafts: " + error.message, "error");
+  }
+}
+
+function handleCloseRecipientLimits() {
+  ClearSend.overLimitRecipients = null;
+  ClearSend.batchPlanRecipients = null;
+  document.getElementById("recipientLimits").style.display = "none";
+}
+
+/**
+ * Move the external recipients of To and CC into BCC, following the Move external
+ * to BCC step settings, whether that step is enabled or not
+ */
+async function handleMoveExternalToBcc() {
+  try {
+    const recipients = await getCurrentRecipients();
+    const result = await callOrchestrator(recipients, ["moveExternalToBcc"]);
+    const action = result.actions[0];
+
+    if (action.moved.total === 0) {
+      showToast("No external recipients in To or CC", "info");
+      await updateRecipientDisplay();
+      return;
+    }
+
+    await updateRecipientsDirectly(
+      convertToOfficeFormat(result.result.to),
+      convertToOfficeFormat(result.result.cc),
+      convertToOfficeFormat(result.result.bcc)
+    );
+
+    const message = `Moved ${action.moved.total} external ${action.moved.total === 1 ? "recipient" : "recipients"} to BCC`;
+    await recordRecipientChange(recipients, message, "clean", result.actions);
+    updateLastAction(message);
+    showToast(message, "success");
+
+    await updateRecipientDisplay();
+  } catch (error) {
+    if (error.message === "RECIPIENT_LIMIT_EXCEEDED") {
+      showRecipientLimits(error.recipients);
+    } else {
+      showToast("Failed to move external recipients: " + error.message, "error");
+    }
+  }
+}
+
+/**
+ * Show people listed under several addresses in the Recipient Analysis card
+ * Only when the possible duplicates step is enabled; nothing is changed, each
+ * group can be linked in the alias table with "Same person"
+ * @param {Object} recipients - { to, cc, bcc }
+ * @param {Function} getKey - Dedupe key, so exact duplicates are not reported again
+ */
+function renderPossibleDuplicates(recipients, getKey) {
+  const section = document.getElementById("possibleDuplicates");
+  const list = document.getElementById("possibleDuplicatesList");
+  if (!section || !list) return;
+
+  const groups = ClearSend.settings.enabledSteps.includes("possibleDuplicates")
+    ? findPossibleDuplicates(recipients, getKey)
+    : [];
+
+  section.style.display = groups.length > 0 ? "block" : "none";
+  document.getElementById("possibleDuplicatesCount").textContent = groups.length;
+
+  const fieldLabels = getFieldLabels(Office.context.mailbox.item);
+  list.innerHTML = groups
+    .map((group) => {
+      const addresses = group.members.map((member) => extractEmail(member.recipient));
+      const members = group.members
+        .map(
+          (member) =>
+            `<li title="${escapeHtml(member.recipient)}">${escapeHtml(extractEmail(member.recipient))} <span class="possible-duplicates-field">${fieldLabels[member.field]}</span></li>`
+        )
+        .join("");
+      return `
+            <li class="possible-duplicates-group">
+                <div class="possible-duplicates-name">
+                    <span title="${group.similar ? "Similar names" : "Same name"}">${escapeHtml(group.name)}</span>
+                    <button class="list-action-btn list-action-text possible-duplicates-link" data-addresses="${encodeURIComponent(JSON.stringify(addresses))}" title="Treat these addresses as one person, keeping ${escapeHtml(addresses[0])}">Same person</button>
+                </div>
+                <ul class="possible-duplicates-members">${members}</ul>
+            </li>`;
+    })
+    .join("");
+
+  list.querySelectorAll(".possible-duplicates-link").forEach((button) => {
+    button.addEventListener("click", handleLinkPossibleDuplicate);
+  });
+}
+
+/**
+ * Show the external domains of the message in the Recipient Analysis card
+ * Only when the flag external step is enabled; domains in To or CC, which every
+ * recipient sees, are highlighted
+ * @param {Object} recipients - { to, cc, bcc }
+ */
+async function renderExternalExposure(recipients) {
+  const section = document.getElementById("externalExposure");
+  const list = document.getElementById("externalExposureList");
+  if (!section || !list) return;
+
+  const exposure = ClearSend.settings.enabledSteps.includes("flagExt")
+    ? (await callOrchestrator(recipients, ["flagExt"])).actions[0].exposure
+    : [];
+
+  section.style.display = exposure.length > 0 ? "block" : "none";
+  document.getElementById("externalExposureCount").textContent = exposure.length;
+
+  list.innerHTML = exposure.map(renderExposureEntry).join("");
+}
+
+/**
+ * Build the HTML for one external domain of the exposure report
+ * @param {Object} entry - { domain, to, cc, bcc, total, visible, recipients }
+ * @returns {string} List item HTML
+ */
+function renderExposureEntry(entry) {
+  const fieldLabels = getFieldLabels(Office.context.mailbox.item);
+  const counts = [
+    [fieldLabels.to, entry.to],
+    [fieldLabels.cc, entry.cc],
+    [fieldLabels.bcc, entry.bcc],
+  ]
+    .filter(([, count]) => count > 0)
+    .map(([label, count]) => `${label} ${count}`)
+    .join(" · ");
+  const title = entry.visible ? "Seen by every recipient" : "Only in BCC";
+
+  return `
+            <li class="external-exposure-domain${entry.visible ? " visible" : ""}" title="${title}">
+                <span class="external-exposure-name" title="${escapeHtml(entry.recipients.join(", "))}">${escapeHtml(entry.domain)}</span>
+                <span class="external-exposure-counts">${counts}</span>
+            </li>`;
+}
+
+function handleLinkPossibleDuplicate(event) {
+  const addresses = JSON.parse(
+    decodeURIComponent(event.currentTarget.getAttribute("data-addresses"))
+  );
+  saveDedupeSetting("identities", linkAddresses(getIdentities(), addresses));
+  renderIdentities();
+  showToast(`Linked ${addresses.length} addresses, keeping ${addresses[0]}`, "success");
+}
+
+function updateStatusIndicator(count) {
+  const indicator = document.getElementById("statusText");
+  if (count === 0) {
+    indicator.textContent = "No recipients";
+  } else {
+    indicator.textContent = `${count} recipient${count !== 1 ? "s" : ""}`;
+  }
+}
+
+function updateStatusIndicatorWithValidation(total, valid, warnings) {
+  const statusIcon = document.querySelector(".status-icon");
+  const statusText = document.getElementById("statusText");
+
+  if (total === 0) {
+    statusIcon.textContent = "🟢";
+    statusText.textContent = "No recipients";
+  } else if (warnings > 0) {
+    statusIcon.textContent = "⚠️";
+    statusText.textContent = `${warnings} warning${warnings !== 1 ? "s" : ""}`;
+  } else {
+    statusIcon.textContent = "🟢";
+    statusText.textContent = `${total} recipient${total !== 1 ? "s" : ""}`;
+  }
+}
+
+async function displayValidationResults(validateAction) {
+  const list = document.getElementById("recipientList");
+  list.innerHTML = "";
+
+  if (validateAction.validationResults && validateAction.validationResults.length > 0) {
+    validateAction.validationResults.forEach((result) => {
+      const item = createRecipientItem(result);
+      list.appendChild(item);
+    });
+  }
+
+  // Update status indicator with validation results
+  const errorCount = validateAction.errorCount || 0;
+  const warningCount = validateAction.warningCount || 0;
+  const validCount = validateAction.validCount || 0;
+
+  updateValidationStatus(validCount, warningCount, errorCount);
+}
+
+function updateValidationStatus(validCount, warningCount, errorCount) {
+  const statusIcon = document.querySelector(".status-icon");
+  const statusText = document.getElementById("statusText");
 
   if (errorCount > 0) {
     statusIcon.textContent = "🔴";
@@ -2195,6 +3234,37 @@ async function displayAllResults(result) {
                         <li>Processed: ${action.processed} recipients</li>
                         <li>Duplicates found: ${action.duplicatesFound || 0}</li>
                         <li>Removed: ${action.removed ? action.removed.length : 0}</li>
+                        ${(action.decisions || [])
+                          .map(
+                            (decision) =>
+                              `<li>${escapeHtml(extractEmail(decision.kept))}: ${escapeHtml(decision.reason)}</li>`
+                          )
+                          .join("")}
+                    </ul>
+                `;
+        break;
+      case "possibleDuplicates":
+        actionDiv.innerHTML = `
+                    <strong>👥 Possible duplicates:</strong>
+                    <ul>
+                        ${
+                          action.groups
+                            .map(
+                              (group) =>
+                                `<li>${escapeHtml(group.name)}: ${escapeHtml(group.members.map((member) => extractEmail(member.recipient)).join(", "))}</li>`
+                            )
+                            .join("") || "<li>None found</li>"
+                        }
+                    </ul>
+                `;
+        break;
+      case "moveExternalToBcc":
+        actionDiv.innerHTML = `
+                    <strong>🙈 Move external to BCC:</strong>
+                    <ul>
+                        <li>Moved from To: ${action.moved.to.length}</li>
+                        <li>Moved from CC: ${action.moved.cc.length}</li>
+                        ${action.primary ? `<li>Kept in To: ${escapeHtml(extractEmail(action.primary))}</li>` : ""}
                     </ul>
                 `;
         break;
@@ -2203,19 +3273,27 @@ async function displayAllResults(result) {
                     <strong>📶 Sorting:</strong>
                     <ul>
                         <li>Processed: ${action.processed} recipients</li>
-                        <li>Sorted alphabetically by name</li>
+                        <li>Sorted following the Sort recipients settings</li>
                     </ul>
                 `;
         break;
       case "flagExt":
-        actionDiv.innerHTML = `
+        actionDiv.innerHTML = action.skipped
+          ? `
+                    <strong>🏢 External Detection:</strong>
+                    <ul>
+                        <li>${escapeHtml(action.message)}</li>
+                    </ul>
+                `
+          : `
                     <strong>🏢 External Detection:</strong>
                     <ul>
                         <li>Total: ${action.summary.totalRecipients} recipients</li>
                         <li>Internal: ${action.summary.internalCount}</li>
                         <li>External: ${action.summary.externalCount}</li>
-                        <li>External domains: ${action.summary.uniqueExternalDomains}</li>
+                        <li>External domains: ${action.summary.uniqueExternalDomains}, ${action.summary.visibleExternalDomains} visible in To/CC</li>
                     </ul>
+                    <ul class="external-exposure-list">${action.exposure.map(renderExposureEntry).join("")}</ul>
                 `;
         break;
     }
@@ -2253,6 +3331,16 @@ async function displayAllResults(result) {
 }
 
 // Internal Domains Management
+function getInternalDomainMatcher() {
+  return createDomainMatcher(getValidInternalDomains(), {
+    includeSubdomains: ClearSend.settings.internalSubdomains !== false,
+  });
+}
+
+function getPartnerDomainMatcher() {
+  return createDomainMatcher(ClearSend.settings.partnerDomains || []);
+}
+
 function renderInternalDomains() {
   const domainsList = document.getElementById("domainsList");
   domainsList.innerHTML = "";
@@ -2260,9 +3348,9 @@ function renderInternalDomains() {
   ClearSend.settings.internalDomains.forEach((domain, index) => {
     const domainItem = document.createElement("div");
     domainItem.className = "domain-item";
-    const isPlaceholder = domain === "mydomain.com";
+    const isPlaceholder = domain === PLACEHOLDER_DOMAIN;
     domainItem.innerHTML = `
-            <input type="text" class="domain-input${isPlaceholder ? " placeholder" : ""}" value="${domain}" data-index="${index}" />
+            <input type="text" class="domain-input${isPlaceholder ? " placeholder" : ""}" value="${escapeHtml(domain)}" data-index="${index}" />
             <button class="domain-btn add-btn" data-index="${index}" title="Add domain">
                 <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" width="14" height="14" fill="currentColor"><path d="M256 80c0-17.7-14.3-32-32-32s-32 14.3-32 32l0 144L48 224c-17.7 0-32 14.3-32 32s14.3 32 32 32l144 0 0 144c0 17.7 14.3 32 32 32s32-14.3 32-32l0-144 144 0c17.7 0 32-14.3 32-32s-14.3-32-32-32l-144 0 0-144z"/></svg>
             </button>
@@ -2286,10 +3374,111 @@ function renderInternalDomains() {
     btn.addEventListener("click", handleAddDomain);
   });
 
+  const orgDomainInput = document.getElementById("orgDomainInput");
+  if (orgDomainInput) {
+    orgDomainInput.value = ClearSend.settings.orgDomain || "";
+    orgDomainInput.placeholder = getProfileDomain() || "corp.example";
+  }
+  const subdomainsCheck = document.getElementById("internalSubdomainsCheck");
+  if (subdomainsCheck) {
+    subdomainsCheck.checked = ClearSend.settings.internalSubdomains !== false;
+  }
+  const domainsCount = document.getElementById("internalDomainsCount");
+  if (domainsCount) {
+    domainsCount.textContent = getValidInternalDomains().length;
+  }
+  filterInternalDomainsList();
+
   // Update domain-dependent features state
   updateDomainDependentFeatures();
 }
 
+/**
+ * Show only the internal domains containing the search text
+ */
+function filterInternalDomainsList() {
+  const search = document.getElementById("domainSearchInput");
+  const query = search ? search.value.trim().toLowerCase() : "";
+
+  document.querySelectorAll("#domainsList .domain-item").forEach((item) => {
+    const value = item.querySelector(".domain-input").value.toLowerCase();
+    item.style.display = !query || value.includes(query) ? "" : "none";
+  });
+}
+
+/**
+ * Add internal domain rules, skipping the ones already listed
+ * @param {string} text - Pasted or imported rules
+ * @param {number} index - Position to insert them at (default: the end)
+ * @returns {Object} { added, invalid } counts and entries not understood
+ */
+function addInternalDomainRules(text, index = null) {
+  const { rules, invalid } = splitDomainRules(text);
+  const current = filterInternalDomains(ClearSend.settings.internalDomains);
+  // Rules already listed in another form (Unicode or punycode) are not added again
+  const listed = new Set(current.map(getDomainRuleKey));
+  const added = rules.filter((rule) => !listed.has(getDomainRuleKey(rule)));
+
+  if (added.length > 0) {
+    // index is a row of the displayed list, which may include the placeholder
+    const position =
+      index === null
+        ? current.length
+        : filterInternalDomains(ClearSend.settings.internalDomains.slice(0, index)).length;
+    ClearSend.settings.internalDomains = [
+      ...current.slice(0, position),
+      ...added,
+      ...current.slice(position),
+    ];
+    saveSettings();
+    renderInternalDomains();
+    updateRecipientDisplay();
+  }
+
+  return { added: added.length, invalid };
+}
+
+function reportAddedDomainRules({ added, invalid }) {
+  if (invalid.length > 0) {
+    const listed = invalid.slice(0, 3).join(", ") + (invalid.length > 3 ? "..." : "");
+    showToast(`${added} added, ${invalid.length} not understood: ${listed}`, "warning");
+  } else {
+    showToast(added === 1 ? "1 domain added" : `${added} domains added`, "success");
+  }
+}
+
+function handleAddBulkDomains() {
+  const input = document.getElementById("bulkDomainsInput");
+  if (!input.value.trim()) return;
+
+  const result = addInternalDomainRules(input.value);
+  input.value = result.invalid.join("\n");
+  reportAddedDomainRules(result);
+}
+
+function handleImportDomains(event) {
+  const input = event.target;
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    reportAddedDomainRules(addInternalDomainRules(reader.result));
+    input.value = "";
+  };
+  reader.onerror = () => {
+    showToast("Failed to read the file", "error");
+    input.value = "";
+  };
+  reader.readAsText(file);
+}
+
+function handleInternalSubdomainsChange(event) {
+  ClearSend.settings.internalSubdomains = event.target.checked;
+  saveSettings();
+  updateRecipientDisplay();
+}
+
 /**
  * Handle domain input focus - clear placeholder
  */
@@ -2308,9 +3497,9 @@ function handleDomainBlur(event) {
   const value = event.target.value.trim();
 
   if (!value) {
-    event.target.value = "mydomain.com";
+    event.target.value = PLACEHOLDER_DOMAIN;
     event.target.classList.add("placeholder");
-    ClearSend.settings.internalDomains[index] = "mydomain.com";
+    ClearSend.settings.internalDomains[index] = PLACEHOLDER_DOMAIN;
     saveSettings();
     updateDomainDependentFeatures();
   }
@@ -2331,9 +3520,28 @@ function handleDomainChange(event) {
     return;
   }
 
-  // Basic domain validation (alphanumeric, dots, hyphens)
-  const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]*(\.[a-zA-Z0-9][a-zA-Z0-9-]*)*\.[a-zA-Z]{2,}$/;
-  if (!domainRegex.test(newValue)) {
+  // Several domains pasted into one row: add them all in its place
+  if (/[\s,;]/.test(newValue)) {
+    const previous = ClearSend.settings.internalDomains[index];
+    ClearSend.settings.internalDomains = ClearSend.settings.internalDomains.filter(
+      (domain, i) => i !== index
+    );
+    const result = addInternalDomainRules(newValue, index);
+    if (result.added === 0) {
+      ClearSend.settings.internalDomains = [
+        ...ClearSend.settings.internalDomains.slice(0, index),
+        previous,
+        ...ClearSend.settings.internalDomains.slice(index),
+      ];
+      renderInternalDomains();
+    }
+    reportAddedDomainRules(result);
+    return;
+  }
+
+  // A domain, a pattern such as *.corp.example or an exclusion such as !partners.corp.example
+  const rule = parseDomainRule(newValue);
+  if (!rule) {
     showToast("Invalid domain format", "error");
     event.target.value = ClearSend.settings.internalDomains[index] || "";
     return;
@@ -2341,11 +3549,15 @@ function handleDomainChange(event) {
 
   // Remove placeholder styling if valid domain entered
   event.target.classList.remove("placeholder");
+  event.target.value = rule.text;
 
   // Save validated domain
-  ClearSend.settings.internalDomains[index] = newValue;
+  ClearSend.settings.internalDomains = ClearSend.settings.internalDomains.map((domain, i) =>
+    i === index ? rule.text : domain
+  );
   saveSettings();
-  updateDomainDependentFeatures();
+  renderInternalDomains();
+  updateRecipientDisplay();
   showToast("Domain updated", "success");
 }
 
@@ -2353,69 +3565,138 @@ function handleDomainChange(event) {
  * Check if there are any valid (non-placeholder) domains defined
  */
 function hasValidDomains() {
-  return ClearSend.settings.internalDomains.some(
-    (domain) => domain && domain !== "mydomain.com" && domain.trim() !== ""
-  );
+  return getValidInternalDomains().length > 0;
 }
 
 /**
  * Get only valid (non-placeholder) internal domains
  */
 function getValidInternalDomains() {
-  return (ClearSend.settings.internalDomains || []).filter(
-    (domain) => domain && domain !== "mydomain.com" && domain.trim() !== ""
-  );
+  return filterInternalDomains(ClearSend.settings.internalDomains);
 }
 
 /**
  * Update domain-dependent features (prioritize internal, remove external)
- * Disable them if no valid domains are defined
+ * Disable them if no valid domains are defined, and explain why in the Configuration tab
  */
 function updateDomainDependentFeatures() {
   const hasValid = hasValidDomains();
 
-  // Get the feature items for domain-dependent options
-  const prioritizeInternalItem = document.querySelector('[data-step="prioritizeInternal"]');
-  const removeExternalItem = document.querySelector('[data-step="removeExternal"]');
+  // Steps registered as needing internal domains
+  const domainSteps = getRegisteredSteps().filter((step) => step.requiresInternalDomains);
+  const domainStepNames = domainSteps.map((step) => step.name);
 
-  const prioritizeInternalCheck = document.getElementById("prioritizeInternalCheck");
-  const removeExternalCheck = document.getElementById("removeExternalCheck");
+  domainStepNames.forEach((stepName) => {
+    const item = document.querySelector(`.feature-item[data-step="${stepName}"]`);
+    const checkbox = document.getElementById(stepName + "Check");
 
-  if (!hasValid) {
-    // Disable domain-dependent features
-    if (prioritizeInternalItem) prioritizeInternalItem.classList.add("disabled");
-    if (removeExternalItem) removeExternalItem.classList.add("disabled");
-
-    if (prioritizeInternalCheck) {
-      prioritizeInternalCheck.checked = false;
-      prioritizeInternalCheck.disabled = true;
-    }
-    if (removeExternalCheck) {
-      removeExternalCheck.checked = false;
-      removeExternalCheck.disabled = true;
+    if (!hasValid) {
+      // Disable domain-dependent features
+      if (item) {
+        item.classList.add("disabled");
+        item.title = "Needs an internal domain";
+      }
+      if (checkbox) {
+        checkbox.checked = false;
+        checkbox.disabled = true;
+      }
+    } else {
+      // Enable domain-dependent features
+      if (item) {
+        item.classList.remove("disabled");
+        item.removeAttribute("title");
+      }
+      if (checkbox) checkbox.disabled = false;
     }
+  });
+
+  updateDomainStepsNotice(hasValid ? [] : domainSteps);
 
+  if (!hasValid && ClearSend.settings.enabledSteps.some((step) => domainStepNames.includes(step))) {
     // Remove from enabled steps
     ClearSend.settings.enabledSteps = ClearSend.settings.enabledSteps.filter(
-      (step) => step !== "prioritizeInternal" && step !== "removeExternal"
+      (step) => !domainStepNames.includes(step)
     );
     saveSettings();
-  } else {
-    // Enable domain-dependent features
-    if (prioritizeInternalItem) prioritizeInternalItem.classList.remove("disabled");
-    if (removeExternalItem) removeExternalItem.classList.remove("disabled");
+  }
+}
+
+/**
+ * Explain which steps wait for an internal domain, proposing the mailbox's own domain
+ * @param {Array} disabledSteps - Registered steps disabled for lack of an internal domain
+ */
+function updateDomainStepsNotice(disabledSteps) {
+  const notice = document.getElementById("domainStepsNotice");
+  if (!notice) return;
+
+  notice.style.display = disabledSteps.length > 0 ? "" : "none";
+  if (disabledSteps.length === 0) return;
+
+  const labels = disabledSteps.map((step) => step.label).join(" and ");
+  const profileDomain = getProfileDomain();
+  document.getElementById("domainStepsNoticeText").textContent = profileDomain
+    ? `${labels} need your organization's domain. Your mailbox is on ${profileDomain}.`
+    : `${labels} need your organization's domain, set under Internal domains below.`;
+
+  const useButton = document.getElementById("useProfileDomainBtn");
+  useButton.style.display = profileDomain ? "" : "none";
+  useButton.textContent = `Use ${profileDomain}`;
+}
+
+/**
+ * Use the mailbox's domain as the organization and internal domain
+ */
+function handleUseProfileDomain() {
+  const domain = getProfileDomain();
+  if (!domain) return;
+
+  setOrganizationDomain(domain);
+  showToast(`${domain} set as your organization domain`, "success");
+}
+
+function setOrganizationDomain(domain) {
+  ClearSend.settings = applyOrganizationDomain(ClearSend.settings, domain);
+  saveSettings();
+  renderInternalDomains();
+  updateRecipientDisplay();
+}
+
+/**
+ * Save the organization domain entered in the Configuration tab
+ * The domain is added to the internal domains; clearing it removes it from them
+ */
+function handleOrgDomainChange(event) {
+  const value = event.target.value.trim();
+  if (!value) {
+    if (!ClearSend.settings.orgDomain) return;
+    const domain = ClearSend.settings.orgDomain;
+    ClearSend.settings = clearOrganizationDomain(ClearSend.settings);
+    saveSettings();
+    renderInternalDomains();
+    updateRecipientDisplay();
+    showToast(`${domain} removed from the internal domains`, "info");
+    return;
+  }
 
-    if (prioritizeInternalCheck) prioritizeInternalCheck.disabled = false;
-    if (removeExternalCheck) removeExternalCheck.disabled = false;
+  const rule = parseDomainRule(value);
+  if (!rule || rule.type !== "domain") {
+    event.target.value = ClearSend.settings.orgDomain || "";
+    showToast("Please enter a domain such as corp.example", "warning");
+    return;
   }
+
+  setOrganizationDomain(rule.domain);
 }
 
 function handleRemoveDomain(event) {
   const index = parseInt(event.currentTarget.getAttribute("data-index"));
   if (ClearSend.settings.internalDomains.length > 1) {
-    ClearSend.settings.internalDomains.splice(index, 1);
+    ClearSend.settings.internalDomains = ClearSend.settings.internalDomains.filter(
+      (domain, i) => i !== index
+    );
     saveSettings();
     renderInternalDomains();
+    updateRecipientDisplay();
     showToast("Domain removed", "success");
   } else {
     showToast("At least one domain must remain", "warning");
@@ -2427,11 +3708,7 @@ function handleRemoveDomain(event) {
  * @param {Event} event - Click event from add button
  */
 function handleAddDomain(event) {
-  if (ClearSend.settings.internalDomains.length >= CONFIG.MAX_INTERNAL_DOMAINS) {
-    showToast(`Maximum ${CONFIG.MAX_INTERNAL_DOMAINS} internal domains allowed`, "error");
-    return;
-  }
-  ClearSend.settings.internalDomains.push("newdomain.com");
+  ClearSend.settings.internalDomains = [...ClearSend.settings.internalDomains, "newdomain.com"];
   saveSettings();
   renderInternalDomains();
   showToast("Domain added - please update with your domain", "success");
@@ -2473,33 +3750,11 @@ function updateProcessingOptionsSummary() {
   const summary = document.getElementById("processingOptionsSummary");
   if (!summary) return;
 
-  const enabledSteps = ClearSend.settings.enabledSteps || [];
-  const stepOrder = ClearSend.settings.stepOrder || [
-    "sort",
-    "dedupe",
-    "validate",
-    "prioritizeInternal",
-    "removeExternal",
-    "keepInvalid",
-  ];
-
-  // Map step IDs to their short descriptions
-  const stepLabels = {
-    sort: "Alphabetical sorting",
-    dedupe: "Remove duplicates",
-    validate: "Prevent invalids processing",
-    prioritizeInternal: "Internal domains first",
-    removeExternal: "Remove externals",
-    keepInvalid: "Save invalid addresses",
-  };
-
   // Build options list in the order defined by stepOrder
-  const options = [];
-  stepOrder.forEach((step) => {
-    if (enabledSteps.includes(step) && stepLabels[step]) {
-      options.push(stepLabels[step]);
-    }
-  });
+  const stepLabels = new Map(getRegisteredSteps().map((step) => [step.name, step.summaryLabel]));
+  const options = getOrderedEnabledSteps(ClearSend.settings)
+    .filter((step) => stepLabels.has(step))
+    .map((step) => stepLabels.get(step));
 
   summary.textContent = options.length > 0 ? options.join(", ") : "None";
 }
@@ -2513,87 +3768,303 @@ function updateProcessingOptionsSummary() {
 function getEmailStatus(address) {
   // Input validation
   if (!address || typeof address !== "string") {
-    return { status: "invalid", circle: "red", label: "Invalid" };
+    return { status: "invalid", circle: "red", label: "Invalid", message: "", suggestions: [] };
   }
 
-  // Extract email from format "Name <email@domain.com>" or just "email@domain.com"
-  let email = address.trim();
-  const match = email.match(/<(.+)>/);
-  if (match) {
-    email = match[1].trim();
-  }
+  // Same checks as the validate step, so the rows show its exact messages
+  const validation = validateRecipient(address.trim(), getValidationOptions());
+  const message = validation.warnings[0] || "";
 
-  // Use isValidEmail for consistent validation
-  if (!isValidEmail(email)) {
-    return { status: "invalid", circle: "red", label: "Invalid" };
+  if (validation.status === "error") {
+    return { status: "invalid", circle: "red", label: "Invalid", message, suggestions: [] };
   }
 
   // Email is valid, now check if internal or external
-  const parts = email.split("@");
-  const domain = parts[1].toLowerCase().trim();
-
-  // Check against internal domains
-  const internalDomains = getValidInternalDomains();
-  const isInternal = internalDomains.some((internalDomain) => {
-    const normalizedInternal = (internalDomain || "").toLowerCase().trim();
-    if (!normalizedInternal) return false;
-    return domain === normalizedInternal || domain.endsWith("." + normalizedInternal);
-  });
+  // A quoted local part may contain @, the domain follows the last one
+  const email = validation.email;
+  const domain = email
+    .substring(email.lastIndexOf("@") + 1)
+    .toLowerCase()
+    .trim();
+
+  // Check against the internal domain rules, then the partner ones
+  const isInternal = getInternalDomainMatcher()(domain) !== -1;
+
+  const warning = validation.status === "warning";
 
   if (isInternal) {
-    return { status: "internal", circle: null, label: "Valid & Internal" };
-  } else {
-    // External emails are always flagged with warning (orange)
-    return { status: "external", circle: "orange", label: "Valid & External" };
+    return {
+      status: "internal",
+      circle: warning ? "orange" : null,
+      label: warning ? "Warning & Internal" : "Valid & Internal",
+      message,
+      suggestions: validation.suggestions,
+    };
+  }
+
+  // Trusted partners have their own indicator (blue)
+  if (getPartnerDomainMatcher()(domain) !== -1) {
+    return {
+      status: "partner",
+      circle: warning ? "orange" : "blue",
+      label: warning ? "Warning & Partner" : "Valid & Partner",
+      message,
+      suggestions: validation.suggestions,
+    };
   }
-}
 
-// Undo functionality
-function saveRecipientState(recipients) {
-  ClearSend.lastRecipientState = {
-    to: [...recipients.to],
-    cc: [...recipients.cc],
-    bcc: [...recipients.bcc],
+  // External emails are always flagged with warning (orange)
+  return {
+    status: "external",
+    circle: "orange",
+    label: warning ? "Warning & External" : "Valid & External",
+    message,
+    suggestions: validation.suggestions,
   };
 }
 
-function updateLastAction(message, enableUndo = true) {
+// Undo/redo history
+/**
+ * Record a change of the recipient fields in the undo/redo history and the message's action log
+ * The fields are read back from Outlook so the entry matches what was written
+ * @param {Object} before - {to, cc, bcc} before the change
+ * @param {string} label - Action label, as shown in the Last action card
+ * @param {string} kind - Kind of action for the log (clean, remove, revert...)
+ * @param {Array} actions - Optional actions array from processRecipients
+ */
+async function recordRecipientChange(before, label, kind, actions = []) {
+  const after = await getCurrentRecipients();
+  ClearSend.history = recordChange(ClearSend.history, before, after, label);
+  await logAction(buildLogRecord(kind, label, actions), before);
+}
+
+/**
+ * Add a record to the message's action log
+ * The log is informational: failing to save it must not fail the action itself
+ */
+async function logAction(record, before = null) {
+  try {
+    ClearSend.actionLog = await appendActionLog(record, before);
+  } catch {
+    ClearSend.actionLog = {
+      ...ClearSend.actionLog,
+      records: [...ClearSend.actionLog.records, record],
+    };
+  }
+  renderActionLog();
+}
+
+/**
+ * Load what ClearSend already did to this message, e.g. before the task pane was reopened
+ */
+async function loadMessageActionLog() {
+  try {
+    ClearSend.actionLog = await loadActionLog();
+  } catch {
+    return;
+  }
+
+  const records = ClearSend.actionLog.records;
+  if (records.length > 0) {
+    updateLastAction(records[records.length - 1].label);
+  }
+  renderActionLog();
+}
+
+/**
+ * Render the "On this message" log of the Last action card, newest first
+ */
+function renderActionLog() {
+  const actionLog = document.getElementById("actionLog");
+  const actionLogList = document.getElementById("actionLogList");
+  const revertBtn = document.getElementById("revertOriginalBtn");
+  if (!actionLog || !actionLogList) return;
+
+  const stepLabels = new Map(getRegisteredSteps().map((step) => [step.name, step.label]));
+  const records = ClearSend.actionLog.records;
+
+  actionLogList.innerHTML = [...records]
+    .reverse()
+    .map((record) => {
+      const removed = record.steps
+        .filter((step) => step.removed > 0)
+        .map((step) => `${stepLabels.get(step.step) || step.step}: ${step.removed} removed`)
+        .join(", ");
+
+      return `
+            <li class="action-log-record">
+                <span class="action-log-time">${new Date(record.time).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</span>
+                <span class="action-log-text">
+                    <span class="action-log-label">${escapeHtml(describeLogRecord(record))}</span>
+                    ${removed ? `<span class="action-log-steps">${escapeHtml(removed)}</span>` : ""}
+                </span>
+            </li>
+        `;
+    })
+    .join("");
+
+  if (revertBtn) {
+    revertBtn.style.display = ClearSend.actionLog.original ? "inline-block" : "none";
+  }
+
+  actionLog.style.display = records.length > 0 ? "block" : "none";
+}
+
+function describeLogRecord(record) {
+  const prefix = CLEAN_LOG_KINDS[record.kind];
+  return prefix ? `${prefix}: ${record.label}` : record.label;
+}
+
+async function handleRevertToOriginal() {
+  const original = ClearSend.actionLog.original;
+  if (!original) {
+    return;
+  }
+
+  try {
+    showProgress("Restoring original lists...");
+
+    const before = await getCurrentRecipients();
+    await pauseAutoCleanForDraft();
+    await updateRecipientsDirectly(
+      convertToOfficeFormat(original.to),
+      convertToOfficeFormat(original.cc),
+      convertToOfficeFormat(original.bcc)
+    );
+
+    await recordRecipientChange(before, "Reverted to original lists", "revert");
+    updateLastAction("Reverted to original lists");
+
+    await updateRecipientDisplay();
+  } catch {
+    showToast("Failed to restore original lists", "error");
+  } finally {
+    hideProgress();
+  }
+}
+
+/**
+ * Update the Last action card
+ * @param {string} message - Short description of the action
+ * @param {Array} stepReport - Optional per-step report from summarizeActions
+ */
+function updateLastAction(message, stepReport = []) {
   ClearSend.lastActionMessage = message;
   const lastActionText = document.getElementById("lastActionText");
-  const undoBtn = document.getElementById("undoBtn");
+  const lastActionSteps = document.getElementById("lastActionSteps");
 
   if (lastActionText) {
     lastActionText.textContent = message;
   }
 
-  if (undoBtn) {
-    undoBtn.disabled = !enableUndo;
+  if (lastActionSteps) {
+    lastActionSteps.innerHTML = stepReport
+      .map(
+        (step) => `
+            <li class="last-action-step${step.changed ? " changed" : ""}">
+                <span class="last-action-step-label">${escapeHtml(step.label)}</span>
+                <span class="last-action-step-text">${escapeHtml(step.text)}</span>
+            </li>
+        `
+      )
+      .join("");
+    lastActionSteps.style.display = stepReport.length > 0 ? "block" : "none";
   }
+
+  renderHistory();
+}
+
+/**
+ * Render the undo/redo buttons and the history list of the Last action card
+ * Newest entries are listed first; the current state is highlighted
+ */
+function renderHistory() {
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  const historyList = document.getElementById("historyList");
+
+  if (undoBtn) undoBtn.disabled = !canUndo(ClearSend.history);
+  if (redoBtn) redoBtn.disabled = !canRedo(ClearSend.history);
+
+  if (!historyList) return;
+
+  const entries = ClearSend.history.entries;
+  historyList.innerHTML = entries
+    .map((entry, index) => ({ entry, index }))
+    .reverse()
+    .map(
+      ({ entry, index }) => `
+            <li>
+                <button class="history-entry${index === ClearSend.history.index ? " current" : ""}" data-index="${index}" title="Restore the lists to this point">
+                    <span class="history-entry-label">${escapeHtml(entry.label)}</span>
+                    <span class="history-entry-time">${new Date(entry.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</span>
+                </button>
+            </li>
+        `
+    )
+    .join("");
+
+  historyList.querySelectorAll(".history-entry").forEach((button) => {
+    button.addEventListener("click", handleHistoryEntryClick);
+  });
+
+  historyList.style.display = entries.length > 1 ? "block" : "none";
 }
 
 async function handleUndo() {
-  try {
-    if (!ClearSend.lastRecipientState) {
-      return; // Silently do nothing if no state to undo
-    }
+  if (!canUndo(ClearSend.history)) {
+    return; // Silently do nothing if no state to undo
+  }
 
-    showProgress("Restoring previous lists...");
+  const label = getCurrentEntry(ClearSend.history).label;
+  await restoreHistoryEntry(ClearSend.history.index - 1, `Undone: ${label}`, "undo");
+}
 
-    const toRecipients = convertToOfficeFormat(ClearSend.lastRecipientState.to);
-    const ccRecipients = convertToOfficeFormat(ClearSend.lastRecipientState.cc);
-    const bccRecipients = convertToOfficeFormat(ClearSend.lastRecipientState.bcc);
+async function handleRedo() {
+  if (!canRedo(ClearSend.history)) {
+    return;
+  }
 
-    await updateRecipientsDirectly(toRecipients, ccRecipients, bccRecipients);
+  const label = ClearSend.history.entries[ClearSend.history.index + 1].label;
+  await restoreHistoryEntry(ClearSend.history.index + 1, `Redone: ${label}`, "redo");
+}
 
-    // Clear the saved state and update UI
-    ClearSend.lastRecipientState = null;
-    updateLastAction("Previous lists restored");
+async function handleHistoryEntryClick(event) {
+  const index = parseInt(event.currentTarget.getAttribute("data-index"), 10);
+  if (index === ClearSend.history.index) {
+    return;
+  }
 
-    const undoBtn = document.getElementById("undoBtn");
-    if (undoBtn) {
-      undoBtn.disabled = true;
+  const label = ClearSend.history.entries[index].label;
+  await restoreHistoryEntry(index, `Restored: ${label}`, "restore");
+}
+
+/**
+ * Write a history entry back to the recipient fields and make it current
+ * @param {number} index - Entry to restore
+ * @param {string} message - Last action message
+ * @param {string} kind - Kind of action for the log (undo, redo or restore)
+ */
+async function restoreHistoryEntry(index, message, kind) {
+  try {
+    showProgress("Restoring previous lists...");
+
+    const entry = ClearSend.history.entries[index];
+
+    if (index < ClearSend.history.index) {
+      await pauseAutoCleanForDraft();
     }
 
+    await updateRecipientsDirectly(
+      convertToOfficeFormat(entry.recipients.to),
+      convertToOfficeFormat(entry.recipients.cc),
+      convertToOfficeFormat(entry.recipients.bcc)
+    );
+
+    ClearSend.history = moveTo(ClearSend.history, index);
+    await logAction(buildLogRecord(kind, message));
+    updateLastAction(message);
+
     await updateRecipientDisplay();
 
     // No toast on successful undo
@@ -2641,17 +4112,18 @@ function populateFieldContent(field, addresses) {
   const currentDisplay = content.style.display;
   content.style.display = currentDisplay || "none";
 
-  // Count duplicates for tooltip
+  // Count duplicates for tooltip, matched like the dedupe step does
+  const getKey = getDedupeKey({ stepSettings: ClearSend.settings.stepSettings });
   const addressCounts = {};
   addresses.forEach((addr) => {
-    const normalized = addr.toLowerCase().trim();
+    const normalized = getKey(addr);
     addressCounts[normalized] = (addressCounts[normalized] || 0) + 1;
   });
 
   // Add each recipient
   addresses.forEach((address) => {
     const emailStatus = getEmailStatus(address);
-    const normalizedAddress = address.toLowerCase().trim();
+    const normalizedAddress = getKey(address);
     const isDuplicate = addressCounts[normalizedAddress] > 1;
 
     const item = document.createElement("div");
@@ -2660,19 +4132,44 @@ function populateFieldContent(field, addresses) {
     // Build tooltip reasons
     const reasons = [];
     if (emailStatus.status === "invalid") reasons.push("Invalid");
+    if (emailStatus.status !== "invalid" && emailStatus.message) reasons.push("Warning");
     if (emailStatus.status === "external") reasons.push("External");
+    if (emailStatus.status === "partner") reasons.push("Partner");
     if (isDuplicate) reasons.push("Duplicated");
 
     const tooltipText = reasons.length > 0 ? reasons.join(", ") : "";
 
+    // Validation message from the validate step, with its suggested correction
+    const messageHTML = emailStatus.message
+      ? `<span class="recipient-message ${emailStatus.status === "invalid" ? "error" : "warning"}" title="${escapeHtml(emailStatus.message)}">${escapeHtml(emailStatus.message)}</span>`
+      : "";
+
+    // Only addresses in the recipient fields can be rewritten in place
+    const suggestion = RECIPIENT_FIELDS.includes(field) ? emailStatus.suggestions[0] : null;
+    const fixHTML = suggestion
+      ? `<button class="recipient-fix" data-field="${escapeHtml(field)}" data-address="${encodeURIComponent(address)}" data-suggestion="${encodeURIComponent(suggestion)}" title="Replace with ${escapeHtml(suggestion)}">Accept fix</button>`
+      : "";
+
+    // Checkbox for "Same person" while picking addresses
+    const selection = RECIPIENT_FIELDS.includes(field) ? ClearSend.identitySelection : null;
+    const email = extractEmail(address).toLowerCase();
+    const selectHTML = selection
+      ? `<input type="checkbox" class="recipient-select" data-email="${encodeURIComponent(email)}"${selection.includes(email) ? " checked" : ""} title="Same person" />`
+      : "";
+
     // Create circle HTML if needed
     const circleHTML = emailStatus.circle
       ? `<span class="recipient-circle ${emailStatus.circle}" title="${tooltipText}"></span>`
       : '<span class="recipient-circle-placeholder"></span>';
 
     item.innerHTML = `
+            ${selectHTML}
             ${circleHTML}
-            <span class="recipient-email" title="${escapeHtml(address)}" data-full-email="${escapeHtml(address)}">${escapeHtml(address)}</span>
+            <div class="recipient-text">
+                <span class="recipient-email" title="${escapeHtml(address)}" data-full-email="${escapeHtml(address)}">${escapeHtml(address)}</span>
+                ${messageHTML}
+            </div>
+            ${fixHTML}
             <button class="recipient-copy" data-address="${encodeURIComponent(address)}" title="Copy to clipboard">
                 <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" width="14" height="14" fill="currentColor"><path d="M384 336H192c-8.8 0-16-7.2-16-16V64c0-8.8 7.2-16 16-16l140.1 0L400 115.9V320c0 8.8-7.2 16-16 16zM192 384H384c35.3 0 64-28.7 64-64V115.9c0-12.7-5.1-24.9-14.1-33.9L366.1 14.1c-9-9-21.2-14.1-33.9-14.1H192c-35.3 0-64 28.7-64 64V320c0 35.3 28.7 64 64 64zM64 128c-35.3 0-64 28.7-64 64V448c0 35.3 28.7 64 64 64H256c35.3 0 64-28.7 64-64V416H272v32c0 8.8-7.2 16-16 16H64c-8.8 0-16-7.2-16-16V192c0-8.8 7.2-16 16-16H96V128H64z"/></svg>
             </button>
@@ -2814,37 +4311,19 @@ async function handleRestoreDefaults() {
     });
 
     // Reset in-memory state to defaults
-    ClearSend.settings = {
-      enabledSteps: ["sort", "dedupe", "validate", "prioritizeInternal"],
-      stepOrder: [
-        "sort",
-        "dedupe",
-        "validate",
-        "prioritizeInternal",
-        "removeExternal",
-        "keepInvalid",
-      ],
-      orgDomain: "",
-      internalDomains: ["mydomain.com"],
-      keepInvalid: false,
-    };
+    ClearSend.settings = syncRegisteredSteps(getDefaultSettings(), getRegisteredSteps());
 
     // Clear saved invalid addresses
     ClearSend.savedInvalidAddresses = [];
 
-    // Reset UI checkboxes to defaults
-    document.getElementById("sortCheck").checked = true;
-    document.getElementById("dedupeCheck").checked = true;
-    document.getElementById("validateCheck").checked = true;
-    document.getElementById("prioritizeInternalCheck").checked = true;
-    document.getElementById("removeExternalCheck").checked = false;
-    document.getElementById("keepInvalidCheck").checked = false;
+    // Reset feature checkboxes, settings and order to defaults
+    renderFeatureGrid();
 
     // Reset internal domains to default
     renderInternalDomains();
 
-    // Reset feature order to default
-    restoreFeatureOrder();
+    // Reset preview, auto-clean and send check options
+    updateConfigurationOptionsUI();
 
     // Update processing options summary
     updateProcessingOptionsSummary();
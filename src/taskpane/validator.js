@@ -0,0 +1,426 @@
+/**
+ * ClearSend Address Validator
+ *
+ * Standards-based email address validation shared by the processing steps
+ * and the task pane:
+ * - RFC 5322 addr-spec (dot-atom and quoted-string local parts)
+ * - RFC 5321 length limits and address literals ([192.0.2.1], [IPv6:...])
+ * - RFC 6531 internationalised (SMTPUTF8) local parts
+ * - IDN domains, converted to their ASCII form with punycode (RFC 3492)
+ *
+ * Two modes are available:
+ * - strict: the standards as written, with a fully-qualified domain
+ * - lenient: also accepts what real mail systems let through, i.e. empty atoms
+ *   in unquoted local parts ("first..last", "name.") and single-label domains
+ *
+ * Comments, folding white space and the other obsolete forms of RFC 5322 are
+ * never accepted: they cannot be used in an SMTP envelope address.
+ */
+
+export const VALIDATION_MODES = ["strict", "lenient"];
+
+// Rule references returned with each failure
+const RULES = {
+  addrSpec: "RFC 5322 section 3.4.1",
+  dotAtom: "RFC 5322 section 3.2.3",
+  quotedString: "RFC 5322 section 3.2.4",
+  utf8: "RFC 6531 section 3.3",
+  localLength: "RFC 5321 section 4.5.3.1.1",
+  domainLength: "RFC 5321 section 4.5.3.1.2",
+  pathLength: "RFC 5321 section 4.5.3.1.3",
+  addressLiteral: "RFC 5321 section 4.1.3",
+  fqdn: "RFC 5321 section 2.3.5",
+  label: "RFC 1035 section 2.3.4",
+  hostname: "RFC 1123 section 2.1",
+  idn: "RFC 5890 section 2.3.2.1",
+  tld: "RFC 3696 section 2",
+};
+
+const MAX_LOCAL_OCTETS = 64;
+const MAX_DOMAIN_OCTETS = 253;
+const MAX_ADDRESS_OCTETS = 254;
+const MAX_LABEL_OCTETS = 63;
+
+// RFC 5322 atext, without the letters and digits
+const ATEXT_SYMBOLS = "!#$%&'*+-/=?^_`{|}~";
+
+// IDNA label separators (RFC 3490 section 3.1)
+const LABEL_SEPARATORS = /[。．｡]/g;
+
+// ============================================================================
+// PUNYCODE (RFC 3492)
+// ============================================================================
+
+const PUNYCODE = {
+  base: 36,
+  tMin: 1,
+  tMax: 26,
+  skew: 38,
+  damp: 700,
+  initialBias: 72,
+  initialN: 128,
+};
+
+function adaptBias(delta, numPoints, firstTime) {
+  const { base, tMin, tMax, skew, damp } = PUNYCODE;
+  let k = 0;
+
+  delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+
+  while (delta > ((base - tMin) * tMax) >> 1) {
+    delta = Math.floor(delta / (base - tMin));
+    k += base;
+  }
+
+  return k + Math.floor(((base - tMin + 1) * delta) / (delta + skew));
+}
+
+function encodeDigit(digit) {
+  // 0..25 map to a..z, 26..35 map to 0..9
+  return String.fromCharCode(digit + 22 + (digit < 26 ? 75 : 0));
+}
+
+/**
+ * Encode a Unicode string with punycode
+ * @param {string} input - Unicode label, e.g. "exämple"
+ * @returns {string} Punycode label without the "xn--" prefix, e.g. "exmple-cua"
+ */
+export function punycodeEncode(input) {
+  const { base, tMin, tMax, initialBias, initialN } = PUNYCODE;
+  const codePoints = Array.from(input).map((char) => char.codePointAt(0));
+
+  let output = codePoints
+    .filter((codePoint) => codePoint < 0x80)
+    .map((codePoint) => String.fromCharCode(codePoint))
+    .join("");
+
+  const basicLength = output.length;
+  let handled = basicLength;
+  let n = initialN;
+  let delta = 0;
+  let bias = initialBias;
+
+  if (basicLength > 0) {
+    output += "-";
+  }
+
+  while (handled < codePoints.length) {
+    const next = Math.min(...codePoints.filter((codePoint) => codePoint >= n));
+    delta += (next - n) * (handled + 1);
+    n = next;
+
+    for (const codePoint of codePoints) {
+      if (codePoint < n) {
+        delta++;
+      }
+
+      if (codePoint === n) {
+        let q = delta;
+        for (let k = base; ; k += base) {
+          const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+          if (q < t) break;
+          output += encodeDigit(t + ((q - t) % (base - t)));
+          q = Math.floor((q - t) / (base - t));
+        }
+        output += encodeDigit(q);
+        bias = adaptBias(delta, handled + 1, handled === basicLength);
+        delta = 0;
+        handled++;
+      }
+    }
+
+    delta++;
+    n++;
+  }
+
+  return output;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function utf8Length(value) {
+  let length = 0;
+  for (const char of value) {
+    const codePoint = char.codePointAt(0);
+    length += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+  }
+  return length;
+}
+
+function isAsciiAlphanumeric(char) {
+  return /^[A-Za-z0-9]$/.test(char);
+}
+
+// RFC 6531 UTF8-non-ascii, excluding the C1 control characters
+function isUtf8NonAscii(char) {
+  const codePoint = char.codePointAt(0);
+  return codePoint > 0x9f;
+}
+
+function fail(rule, message) {
+  return { isValid: false, rule: RULES[rule], message };
+}
+
+// ============================================================================
+// LOCAL PART
+// ============================================================================
+
+function validateQuotedLocalPart(localPart) {
+  const content = localPart.slice(1, -1);
+  let smtputf8 = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    const code = char.charCodeAt(0);
+
+    if (char === "\\") {
+      // quoted-pair: backslash followed by a printable character or space
+      const escaped = content[i + 1];
+      if (escaped === undefined || escaped.charCodeAt(0) < 32 || escaped.charCodeAt(0) === 127) {
+        return fail("quotedString", "Invalid escape in quoted local part");
+      }
+      i++;
+    } else if (char === '"') {
+      return fail("quotedString", "Unescaped quote in quoted local part");
+    } else if (code >= 0x80) {
+      if (!isUtf8NonAscii(char)) {
+        return fail("utf8", "Control character in quoted local part");
+      }
+      smtputf8 = true;
+    } else if (code < 32 || code === 127) {
+      return fail("quotedString", "Control character in quoted local part");
+    }
+  }
+
+  return { isValid: true, smtputf8 };
+}
+
+function validateDotAtomLocalPart(localPart, mode) {
+  let smtputf8 = false;
+  const atoms = localPart.split(".");
+
+  if (mode === "strict" && atoms.some((atom) => atom.length === 0)) {
+    return fail("dotAtom", "Local part starts or ends with a dot, or has consecutive dots");
+  }
+
+  for (const char of localPart) {
+    if (char === "." || isAsciiAlphanumeric(char) || ATEXT_SYMBOLS.includes(char)) {
+      continue;
+    }
+    if (char.codePointAt(0) >= 0x80 && isUtf8NonAscii(char)) {
+      smtputf8 = true;
+      continue;
+    }
+    return fail("dotAtom", `Character "${char}" is not allowed in a local part without quotes`);
+  }
+
+  return { isValid: true, smtputf8 };
+}
+
+function validateLocalPart(localPart, mode) {
+  if (localPart.length === 0) {
+    return fail("addrSpec", "Email must have content before @ symbol");
+  }
+
+  if (utf8Length(localPart) > MAX_LOCAL_OCTETS) {
+    return fail("localLength", "Local part is longer than 64 octets");
+  }
+
+  const quoted = localPart.length >= 2 && localPart.startsWith('"') && localPart.endsWith('"');
+  return quoted ? validateQuotedLocalPart(localPart) : validateDotAtomLocalPart(localPart, mode);
+}
+
+// ============================================================================
+// DOMAIN
+// ============================================================================
+
+function isIPv4(value) {
+  const parts = value.split(".");
+  return (
+    parts.length === 4 &&
+    parts.every(
+      (part) => /^\d{1,3}$/.test(part) && Number(part) <= 255 && String(Number(part)) === part
+    )
+  );
+}
+
+function isIPv6(value) {
+  let groups = value;
+  let maxGroups = 8;
+
+  // An IPv4 tail counts as two groups
+  const lastColon = groups.lastIndexOf(":");
+  if (groups.slice(lastColon + 1).includes(".")) {
+    if (!isIPv4(groups.slice(lastColon + 1))) return false;
+    groups = groups.slice(0, lastColon + 1) + "0";
+    maxGroups = 7;
+  }
+
+  const halves = groups.split("::");
+  if (halves.length > 2) return false;
+
+  const parseHalf = (half) => (half === "" ? [] : half.split(":"));
+  const head = parseHalf(halves[0]);
+  const tail = halves.length === 2 ? parseHalf(halves[1]) : [];
+  const all = [...head, ...tail];
+
+  if (!all.every((group) => /^[0-9A-Fa-f]{1,4}$/.test(group))) return false;
+
+  return halves.length === 2 ? all.length < maxGroups : all.length === maxGroups;
+}
+
+function validateAddressLiteral(domain) {
+  const content = domain.slice(1, -1);
+
+  if (isIPv4(content)) {
+    return { isValid: true, asciiDomain: domain };
+  }
+  if (/^IPv6:/i.test(content) && isIPv6(content.slice(5))) {
+    return { isValid: true, asciiDomain: domain };
+  }
+
+  return fail("addressLiteral", "Address literal must be an IPv4 or IPv6 address");
+}
+
+/**
+ * Convert a domain to its ASCII form, encoding IDN labels with punycode
+ * @param {string} domain - Domain, possibly with Unicode labels
+ * @returns {Object} { isValid, asciiDomain } or a failure { isValid, rule, message }
+ */
+export function domainToAscii(domain) {
+  const labels = domain.replace(LABEL_SEPARATORS, ".").split(".");
+  const asciiLabels = [];
+
+  for (const label of labels) {
+    if (label.length === 0) {
+      return fail("label", "Domain has an empty label (misplaced dot)");
+    }
+
+    let asciiLabel = label;
+    // eslint-disable-next-line no-control-regex
+    if (/[^\x00-\x7F]/.test(label)) {
+      const unicodeLabel = label.normalize("NFC").toLowerCase();
+      if (!/^[\p{L}\p{M}\p{N}-]+$/u.test(unicodeLabel)) {
+        return fail("idn", `Domain label "${label}" contains characters not allowed in a domain`);
+      }
+      asciiLabel = "xn--" + punycodeEncode(unicodeLabel);
+    } else if (!/^[A-Za-z0-9-]+$/.test(label)) {
+      return fail(
+        "hostname",
+        `Domain label "${label}" may only contain letters, digits and hyphens`
+      );
+    }
+
+    if (asciiLabel.startsWith("-") || asciiLabel.endsWith("-")) {
+      return fail("hostname", "Domain labels cannot start or end with a hyphen");
+    }
+
+    if (asciiLabel.length > MAX_LABEL_OCTETS) {
+      return fail("label", "Domain label is longer than 63 characters");
+    }
+
+    asciiLabels.push(asciiLabel);
+  }
+
+  const asciiDomain = asciiLabels.join(".");
+  if (asciiDomain.length > MAX_DOMAIN_OCTETS) {
+    return fail("domainLength", "Domain is longer than 253 characters");
+  }
+
+  return { isValid: true, asciiDomain };
+}
+
+function validateDomain(domain, mode) {
+  if (domain.length === 0) {
+    return fail("addrSpec", "Email must have content after @ symbol");
+  }
+
+  if (domain.startsWith("[") && domain.endsWith("]")) {
+    return validateAddressLiteral(domain);
+  }
+
+  const result = domainToAscii(domain);
+  if (!result.isValid) {
+    return result;
+  }
+
+  const labels = result.asciiDomain.split(".");
+  if (mode === "strict" && labels.length < 2) {
+    return fail("fqdn", "Domain must be fully qualified (contain at least one dot)");
+  }
+
+  if (/^\d+$/.test(labels[labels.length - 1])) {
+    return fail("tld", "Top-level domain cannot be all-numeric");
+  }
+
+  return result;
+}
+
+// ============================================================================
+// ADDRESS
+// ============================================================================
+
+// Split at the @ that ends the local part: a quoted local part may contain @
+function splitAddress(address) {
+  if (address.startsWith('"')) {
+    for (let i = 1; i < address.length; i++) {
+      if (address[i] === "\\") {
+        i++;
+      } else if (address[i] === '"') {
+        return address[i + 1] === "@"
+          ? { localPart: address.slice(0, i + 1), domain: address.slice(i + 2) }
+          : null;
+      }
+    }
+    return null;
+  }
+
+  const at = address.indexOf("@");
+  if (at === -1) return null;
+  return { localPart: address.slice(0, at), domain: address.slice(at + 1) };
+}
+
+/**
+ * Validate an email address (addr-spec, without display name or angle brackets)
+ * @param {string} address - Email address, e.g. "josé@exämple.de"
+ * @param {Object} options - { mode: "strict" | "lenient" }, strict by default
+ * @returns {Object} { isValid, rule, message } on failure, where rule names the
+ *   RFC section that failed; { isValid, asciiAddress, smtputf8 } on success,
+ *   where asciiAddress has the domain in punycode and smtputf8 tells whether
+ *   the local part needs an SMTPUTF8-capable server
+ */
+export function validateAddress(address, options = {}) {
+  const mode = VALIDATION_MODES.includes(options.mode) ? options.mode : "strict";
+
+  if (!address || typeof address !== "string" || address.trim().length === 0) {
+    return fail("addrSpec", "Empty email address");
+  }
+
+  const trimmed = address.trim();
+  const parts = splitAddress(trimmed);
+  if (!parts) {
+    return trimmed.includes("@")
+      ? fail("quotedString", "Quoted local part must be closed and followed by @")
+      : fail("addrSpec", "Email must contain @ symbol");
+  }
+
+  if (!parts.localPart.startsWith('"') && parts.domain.includes("@")) {
+    return fail("addrSpec", "Email must contain exactly one @ symbol outside quotes");
+  }
+
+  const local = validateLocalPart(parts.localPart, mode);
+  if (!local.isValid) return local;
+
+  const domain = validateDomain(parts.domain, mode);
+  if (!domain.isValid) return domain;
+
+  const asciiAddress = `${parts.localPart}@${domain.asciiDomain}`;
+  if (utf8Length(asciiAddress) > MAX_ADDRESS_OCTETS) {
+    return fail("pathLength", "Email address is longer than 254 octets");
+  }
+
+  return { isValid: true, asciiAddress, smtputf8: local.smtputf8 };
+}